@@ -2,8 +2,23 @@ import { Routes, Route, Navigate } from "react-router-dom";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import Dashboard from "./pages/Dashboard";
+import Inventory from "./pages/Inventory";
 import ProtectedRoute from "./components/ProtectedRoute";
 import AdminDashboard from "./pages/AdminDashboard";
+import Suppliers from "./pages/Suppliers";
+import PurchaseOrders from "./pages/PurchaseOrders";
+import SalesOrders from "./pages/SalesOrders";
+import Stocktakes from "./pages/Stocktakes";
+import Roles from "./pages/Roles";
+import AuditLog from "./pages/AuditLog";
+import Reports from "./pages/Reports";
+import Sessions from "./pages/Sessions";
+import Users from "./pages/Users";
+import AcceptInvite from "./pages/AcceptInvite";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import ChangePassword from "./pages/ChangePassword";
+import TwoFactor from "./pages/TwoFactor";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
@@ -14,6 +29,25 @@ function App() {
         <Route path="/" element={<Navigate to="/login" />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route
+          path="/change-password"
+          element={
+            <ProtectedRoute>
+              <ChangePassword />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/two-factor"
+          element={
+            <ProtectedRoute>
+              <TwoFactor />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/dashboard"
           element={
@@ -22,7 +56,24 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/inventory"
+          element={
+            <ProtectedRoute>
+              <Inventory />
+            </ProtectedRoute>
+          }
+        />
         <Route path="/admin" element={<AdminDashboard />} />
+        <Route path="/admin/suppliers" element={<Suppliers />} />
+        <Route path="/admin/purchase-orders" element={<PurchaseOrders />} />
+        <Route path="/admin/sales-orders" element={<SalesOrders />} />
+        <Route path="/admin/stocktakes" element={<Stocktakes />} />
+        <Route path="/admin/roles" element={<Roles />} />
+        <Route path="/admin/audit" element={<AuditLog />} />
+        <Route path="/admin/reports" element={<Reports />} />
+        <Route path="/admin/sessions" element={<Sessions />} />
+        <Route path="/admin/users" element={<Users />} />
       </Routes>
       <ToastContainer position="top-right" autoClose={3000} />
     </>
@@ -0,0 +1,157 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+
+const CategoryManager = ({ token, categories, onChange }) => {
+  const [formData, setFormData] = useState({ name: "", parent: "" });
+
+  const sendRequest = async (path, method, body, successMessage) => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/categories${path}`,
+        {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: body && JSON.stringify(body),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      onChange();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const added = await sendRequest(
+      "",
+      "POST",
+      { name: formData.name, parent: formData.parent || null },
+      "Category added"
+    );
+    if (added) setFormData({ name: "", parent: "" });
+  };
+
+  const handleMove = (category, parent) =>
+    sendRequest(
+      `/${category._id}`,
+      "PUT",
+      { parent: parent || null },
+      "Category moved"
+    );
+
+  const handleDelete = (id) => {
+    if (!window.confirm("Are you sure you want to delete this category?"))
+      return;
+    sendRequest(`/${id}`, "DELETE", null, "Category deleted");
+  };
+
+  // a category can't be moved under itself or anything below it
+  const parentOptions = (category) =>
+    categories.filter(
+      (option) =>
+        option._id !== category._id && !option.ancestors.includes(category._id)
+    );
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">🗂️ Categories</h3>
+      <ul className="divide-y divide-gray-700 mb-4">
+        {categories.length > 0 ? (
+          categories.map((category) => (
+            <li
+              key={category._id}
+              className="py-2 flex flex-wrap justify-between items-center gap-2 text-sm"
+            >
+              <span
+                style={{
+                  paddingLeft: `${category.ancestors.length * 1.25}rem`,
+                }}
+              >
+                {category.name}
+                <span className="text-gray-400">
+                  {" "}
+                  · {category.itemCount} items
+                </span>
+              </span>
+              <div className="flex gap-2">
+                <select
+                  value={category.parent || ""}
+                  onChange={(e) => handleMove(category, e.target.value)}
+                  className="px-2 py-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+                >
+                  <option value="">Top level</option>
+                  {parentOptions(category).map((option) => (
+                    <option key={option._id} value={option._id}>
+                      Under: {option.path}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleDelete(category._id)}
+                  className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  🗑️ Delete
+                </button>
+              </div>
+            </li>
+          ))
+        ) : (
+          <li className="py-2 text-gray-400">No categories yet</li>
+        )}
+      </ul>
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+      >
+        <input
+          type="text"
+          name="name"
+          placeholder="Category name"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.name}
+          onChange={handleChange}
+          required
+        />
+        <select
+          name="parent"
+          value={formData.parent}
+          onChange={handleChange}
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          <option value="">Top level</option>
+          {categories.map((category) => (
+            <option key={category._id} value={category._id}>
+              Under: {category.path}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Add Category
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+
+// finds an item by exact sku or barcode, scanners type the code and press enter
+const CodeLookup = ({ token, onFound }) => {
+  const [code, setCode] = useState("");
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setResult(null);
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/lookup?code=${encodeURIComponent(code)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Lookup failed");
+
+      setResult(data);
+      setCode("");
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">
+        🔎 SKU / Barcode Lookup
+      </h3>
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+      >
+        <input
+          type="text"
+          placeholder="Scan or type a SKU or barcode"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Look Up
+        </button>
+      </form>
+      {result && (
+        <div className="mt-4 flex flex-col sm:flex-row justify-between sm:items-center gap-3 text-sm">
+          <div>
+            <p className="text-white font-semibold">
+              {result.item.name}
+              {result.variant && ` · ${result.variant.name}`}
+            </p>
+            <p className="text-gray-400">
+              SKU {result.variant?.sku || result.item.sku || "—"} ·{" "}
+              {result.item.category?.name} · Qty{" "}
+              {result.variant?.quantity ?? result.item.quantity} · ₹
+              {result.variant?.price ?? result.item.price}
+            </p>
+          </div>
+          {onFound && (
+            <button
+              onClick={() => onFound(result.item)}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+            >
+              📜 History
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodeLookup;
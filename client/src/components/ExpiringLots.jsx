@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ExpiringLots = ({ token, refreshKey }) => {
+  const [lots, setLots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState(30);
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_API_BASE_URL}/items/expiring?days=${days}`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }
+        );
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message);
+
+        setLots(data.lots);
+      } catch (err) {
+        console.error(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchExpiring();
+  }, [token, refreshKey, days]);
+
+  // whole days until the lot expires, negative once it has expired
+  const daysLeft = (lot) =>
+    Math.ceil((new Date(lot.expiryDate).getTime() - Date.now()) / DAY);
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <div className="flex justify-between items-center mb-4 gap-3">
+        <h3 className="text-2xl font-semibold text-white">
+          ⏳ Expiring Soon
+          {lots.length > 0 && (
+            <span className="ml-2 px-2 py-1 bg-yellow-600 rounded text-sm align-middle">
+              {lots.length}
+            </span>
+          )}
+        </h3>
+        <select
+          value={days}
+          onChange={(e) => setDays(e.target.value)}
+          className="px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          <option value="7">7 days</option>
+          <option value="30">30 days</option>
+          <option value="90">90 days</option>
+        </select>
+      </div>
+      {loading ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : lots.length > 0 ? (
+        <ul className="divide-y divide-gray-700">
+          {lots.map((lot) => (
+            <li
+              key={lot._id}
+              className="py-2 flex flex-wrap justify-between gap-2 text-sm"
+            >
+              <span className="font-semibold">
+                {lot.item.name}{" "}
+                <span className="text-gray-400">
+                  (Lot {lot.lotNumber} · {lot.item.category?.name})
+                </span>
+              </span>
+              <span className="text-gray-300">
+                {lot.quantity} units ·{" "}
+                <span
+                  className={
+                    daysLeft(lot) <= 0 ? "text-red-500" : "text-yellow-400"
+                  }
+                >
+                  {daysLeft(lot) <= 0
+                    ? `expired ${new Date(lot.expiryDate).toLocaleDateString()}`
+                    : `expires ${new Date(lot.expiryDate).toLocaleDateString()} (${daysLeft(lot)}d)`}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">Nothing expires in the next {days} days</p>
+      )}
+    </div>
+  );
+};
+
+export default ExpiringLots;
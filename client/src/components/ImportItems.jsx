@@ -0,0 +1,128 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+
+const ACTION_STYLES = {
+  create: "text-green-400",
+  update: "text-blue-400",
+  error: "text-red-400",
+};
+
+const ImportItems = ({ token, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const uploadFile = async (dryRun) => {
+    const body = new FormData();
+    body.append("file", file);
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/import?dryRun=${dryRun}`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+          body,
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Import failed");
+
+      setReport(data);
+      if (!dryRun) {
+        toast.success(
+          `Imported ${data.summary.created + data.summary.updated} items`
+        );
+        onImported();
+      }
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+      <h3 className="text-2xl font-semibold mb-2 text-white">
+        Import Items from CSV
+      </h3>
+      <p className="text-sm text-gray-400 mb-4">
+        Columns: Name, Category, SKU, Barcode, Quantity, Price, Reorder Level,
+        Reorder Quantity. Existing items are matched by SKU, or by name and
+        category. Write subcategories as paths, e.g. Electronics &gt; Phones;
+        missing categories are created.
+      </p>
+      <div className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center mb-4">
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          className="w-full md:flex-1 text-sm text-gray-300"
+        />
+        <button
+          onClick={() => uploadFile(true)}
+          disabled={!file || submitting}
+          className="w-full md:w-auto px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+        >
+          🔍 Preview
+        </button>
+        {report?.dryRun && (
+          <button
+            onClick={() => uploadFile(false)}
+            disabled={
+              submitting ||
+              report.summary.created + report.summary.updated === 0
+            }
+            className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          >
+            ✅ Import {report.summary.created + report.summary.updated} rows
+          </button>
+        )}
+      </div>
+
+      {report && (
+        <>
+          <p className="text-sm text-gray-300 mb-2">
+            {report.dryRun ? "Preview" : "Result"}: {report.summary.created} to
+            create, {report.summary.updated} to update, {report.summary.failed}{" "}
+            with errors
+          </p>
+          <table className="w-full text-left table-auto border-collapse text-sm">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="p-2">Row</th>
+                <th className="p-2">Name</th>
+                <th className="p-2">Action</th>
+                <th className="p-2">Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.row} className="border-b border-gray-700">
+                  <td className="p-2">{row.row}</td>
+                  <td className="p-2">{row.name}</td>
+                  <td className={`p-2 ${ACTION_STYLES[row.action]}`}>
+                    {row.action}
+                  </td>
+                  <td className="p-2 text-red-400">{row.errors?.join(", ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportItems;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+const InviteUsers = ({ token, roles }) => {
+  const [invites, setInvites] = useState([]);
+  const [formData, setFormData] = useState({ email: "", role: "staff" });
+  const [inviteLink, setInviteLink] = useState("");
+
+  const fetchInvites = async () => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}/invites`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+
+      setInvites(data.invites);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvites();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}/invites`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(formData),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to create invite");
+
+      // the token is only shown once, the server keeps a hash of it
+      setInviteLink(
+        `${window.location.origin}/accept-invite?token=${data.token}`
+      );
+      toast.success(`Invite created for ${data.invite.email}`);
+      setFormData({ email: "", role: "staff" });
+      fetchInvites();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      toast.success("Invite link copied");
+    } catch {
+      toast.error("Copy failed, select the link and copy it manually");
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm(`Revoke the invite for ${invite.email}?`)) return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/invites/${invite._id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Revoke failed");
+
+      toast.success("Invite revoked");
+      fetchInvites();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">Invite a User</h3>
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center mb-4"
+      >
+        <input
+          type="email"
+          name="email"
+          placeholder="Email"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.email}
+          onChange={handleChange}
+          required
+        />
+        <select
+          name="role"
+          value={formData.role}
+          onChange={handleChange}
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          {roles.map((role) => (
+            <option key={role._id} value={role.name}>
+              {role.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Create Invite
+        </button>
+      </form>
+      {inviteLink && (
+        <div className="mb-4 p-3 rounded bg-gray-700 text-sm">
+          <p className="text-gray-300 mb-2">
+            Send this link to the invitee, it is shown only once:
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              readOnly
+              value={inviteLink}
+              onFocus={(e) => e.target.select()}
+              className="w-full sm:flex-1 px-3 py-2 rounded bg-gray-800 border border-gray-600 text-white text-sm"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+            >
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+      {invites.length > 0 && (
+        <table className="w-full text-left table-auto border-collapse text-sm">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="p-3 border-b border-gray-600">Pending Invite</th>
+              <th className="p-3 border-b border-gray-600">Role</th>
+              <th className="p-3 border-b border-gray-600">Expires</th>
+              <th className="p-3 border-b border-gray-600"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {invites.map((invite) => (
+              <tr
+                key={invite._id}
+                className="border-b border-gray-700 hover:bg-gray-700"
+              >
+                <td className="p-3">{invite.email}</td>
+                <td className="p-3">{invite.role}</td>
+                <td className="p-3 whitespace-nowrap">
+                  {new Date(invite.expiresAt).toLocaleString()}
+                </td>
+                <td className="p-3">
+                  <button
+                    onClick={() => handleRevoke(invite)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default InviteUsers;
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+
+const LocationManager = ({ token, locations, onChange }) => {
+  const [formData, setFormData] = useState({ name: "", code: "" });
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/locations`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(formData),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to add location");
+
+      setFormData({ name: "", code: "" });
+      toast.success("Location added");
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this location?"))
+      return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/locations/${id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Delete failed");
+
+      toast.success("Location deleted");
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">📍 Locations</h3>
+      <ul className="divide-y divide-gray-700 mb-4">
+        {locations.length > 0 ? (
+          locations.map((location) => (
+            <li
+              key={location._id}
+              className="py-2 flex justify-between items-center text-sm"
+            >
+              <span>
+                {location.name}
+                {location.code && (
+                  <span className="text-gray-400"> ({location.code})</span>
+                )}
+                <span className="text-gray-400">
+                  {" "}
+                  · {location.totalUnits} units
+                </span>
+              </span>
+              <button
+                onClick={() => handleDelete(location._id)}
+                className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+              >
+                🗑️ Delete
+              </button>
+            </li>
+          ))
+        ) : (
+          <li className="py-2 text-gray-400">No locations yet</li>
+        )}
+      </ul>
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+      >
+        <input
+          type="text"
+          name="name"
+          placeholder="Location name"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.name}
+          onChange={handleChange}
+          required
+        />
+        <input
+          type="text"
+          name="code"
+          placeholder="Code"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.code}
+          onChange={handleChange}
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Add Location
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LocationManager;
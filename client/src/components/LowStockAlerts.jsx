@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+
+const LowStockAlerts = ({ token, refreshKey }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLowStock = async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_API_BASE_URL}/items/low-stock`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }
+        );
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message);
+
+        setItems(data.items);
+      } catch (err) {
+        console.error(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLowStock();
+  }, [token, refreshKey]);
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">
+        ⚠️ Low Stock Alerts
+        {items.length > 0 && (
+          <span className="ml-2 px-2 py-1 bg-red-600 rounded text-sm align-middle">
+            {items.length}
+          </span>
+        )}
+      </h3>
+      {loading ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : items.length > 0 ? (
+        <ul className="divide-y divide-gray-700">
+          {items.map((item) => (
+            <li
+              key={item._id}
+              className="py-2 flex flex-wrap justify-between gap-2 text-sm"
+            >
+              <span className="font-semibold">
+                {item.name}{" "}
+                <span className="text-gray-400">({item.category?.name})</span>
+              </span>
+              <span className="text-gray-300">
+                <span
+                  className={
+                    item.quantity === 0 ? "text-red-500" : "text-yellow-400"
+                  }
+                >
+                  {item.quantity} in stock
+                </span>{" "}
+                / reorder at {item.reorderLevel}
+                {item.reorderQuantity > 0 && ` · order ${item.reorderQuantity}`}
+                {item.alertSince &&
+                  ` · since ${new Date(item.alertSince).toLocaleDateString()}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">All items are above their reorder level</p>
+      )}
+    </div>
+  );
+};
+
+export default LowStockAlerts;
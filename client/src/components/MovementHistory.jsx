@@ -0,0 +1,358 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+const REASONS = {
+  receipt: ["purchase", "return", "other"],
+  issue: ["sale", "consumption", "damaged", "other"],
+  adjustment: ["count", "correction", "damaged", "lost", "found", "other"],
+  transfer: ["transfer"],
+};
+
+const emptyForm = {
+  type: "receipt",
+  quantity: "",
+  reason: "purchase",
+  location: "",
+  variant: "",
+  lotNumber: "",
+  expiryDate: "",
+  from: "",
+  to: "",
+  note: "",
+};
+
+const MovementHistory = ({
+  item,
+  token,
+  locations,
+  onClose,
+  onStockChange,
+}) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchMovements = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/movements`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load history");
+
+      setMovements(data.movements);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchMovements();
+  }, [item._id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+      ...(name === "type" && { reason: REASONS[value][0] }),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const {
+      type,
+      quantity,
+      reason,
+      location,
+      variant,
+      lotNumber,
+      expiryDate,
+      from,
+      to,
+      note,
+    } = formData;
+    const isTransfer = type === "transfer";
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/${
+          isTransfer ? "transfer" : "movements"
+        }`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(
+            isTransfer
+              ? {
+                  from: from || null,
+                  to: to || null,
+                  quantity: Number(quantity),
+                  note,
+                }
+              : {
+                  type,
+                  reason,
+                  location: location || null,
+                  variant: variant || null,
+                  lotNumber: lotNumber || undefined,
+                  expiryDate: expiryDate || undefined,
+                  quantity: Number(quantity),
+                  note,
+                }
+          ),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Movement failed");
+
+      toast.success("Stock movement recorded");
+      setFormData(emptyForm);
+      fetchMovements();
+      onStockChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-white">
+          Stock History: {item.name}
+        </h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+        >
+          ✖ Close
+        </button>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row md:flex-wrap gap-3 sm:gap-4 items-center mb-6"
+      >
+        <select
+          name="type"
+          value={formData.type}
+          onChange={handleChange}
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          <option value="receipt">Receipt</option>
+          <option value="issue">Issue</option>
+          <option value="adjustment">Adjustment</option>
+          <option value="transfer">Transfer</option>
+        </select>
+        <input
+          type="number"
+          name="quantity"
+          placeholder={
+            formData.type === "adjustment" ? "Change (+/-)" : "Quantity"
+          }
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.quantity}
+          onChange={handleChange}
+          required
+        />
+        {formData.type === "transfer" ? (
+          <>
+            <select
+              name="from"
+              value={formData.from}
+              onChange={handleChange}
+              className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">From: Unassigned</option>
+              {locations.map((location) => (
+                <option key={location._id} value={location._id}>
+                  From: {location.name}
+                </option>
+              ))}
+            </select>
+            <select
+              name="to"
+              value={formData.to}
+              onChange={handleChange}
+              className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">To: Unassigned</option>
+              {locations.map((location) => (
+                <option key={location._id} value={location._id}>
+                  To: {location.name}
+                </option>
+              ))}
+            </select>
+          </>
+        ) : (
+          <>
+            {item.variants?.length > 0 && (
+              <select
+                name="variant"
+                value={formData.variant}
+                onChange={handleChange}
+                className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              >
+                <option value="">No variant</option>
+                {item.variants.map((variant) => (
+                  <option key={variant._id} value={variant._id}>
+                    {variant.name} ({variant.sku})
+                  </option>
+                ))}
+              </select>
+            )}
+            <select
+              name="reason"
+              value={formData.reason}
+              onChange={handleChange}
+              className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              {REASONS[formData.type].map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+            <select
+              name="location"
+              value={formData.location}
+              onChange={handleChange}
+              className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">Unassigned</option>
+              {locations.map((location) => (
+                <option key={location._id} value={location._id}>
+                  {location.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              name="lotNumber"
+              placeholder={
+                formData.type === "receipt" ? "Lot number" : "Lot (FEFO)"
+              }
+              className="w-full md:w-32 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              value={formData.lotNumber}
+              onChange={handleChange}
+            />
+            {formData.type === "receipt" && (
+              <input
+                type="date"
+                name="expiryDate"
+                title="Expiry date"
+                className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+                value={formData.expiryDate}
+                onChange={handleChange}
+              />
+            )}
+          </>
+        )}
+        <input
+          type="text"
+          name="note"
+          placeholder="Note (optional)"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.note}
+          onChange={handleChange}
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Record
+        </button>
+      </form>
+
+      <table className="w-full text-left table-auto border-collapse min-w-[600px]">
+        <thead>
+          <tr className="bg-gray-700">
+            <th className="p-3 border-b border-gray-600">Date</th>
+            <th className="p-3 border-b border-gray-600">Type</th>
+            <th className="p-3 border-b border-gray-600">Reason</th>
+            <th className="p-3 border-b border-gray-600">Location</th>
+            <th className="p-3 border-b border-gray-600">Change</th>
+            <th className="p-3 border-b border-gray-600">Balance</th>
+            <th className="p-3 border-b border-gray-600">By</th>
+            <th className="p-3 border-b border-gray-600">Note</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="8" className="p-3 text-center text-gray-400">
+                Loading...
+              </td>
+            </tr>
+          ) : movements.length > 0 ? (
+            movements.map((movement) => (
+              <tr
+                key={movement._id}
+                className="border-b border-gray-700 hover:bg-gray-700"
+              >
+                <td className="p-3">
+                  {new Date(movement.createdAt).toLocaleString()}
+                </td>
+                <td className="p-3 capitalize">
+                  {movement.type}
+                  {movement.variant && (
+                    <div className="text-xs text-gray-400 normal-case">
+                      {movement.variant.name}
+                    </div>
+                  )}
+                </td>
+                <td className="p-3">
+                  {movement.reason}
+                  {movement.lots?.length > 0 && (
+                    <div className="text-xs text-gray-400">
+                      {movement.lots
+                        .map((lot) => `Lot ${lot.lotNumber}: ${lot.quantity}`)
+                        .join(", ")}
+                    </div>
+                  )}
+                </td>
+                <td className="p-3">
+                  {movement.location?.name || "Unassigned"}
+                </td>
+                <td
+                  className={`p-3 ${
+                    movement.quantity < 0 ? "text-red-400" : "text-green-400"
+                  }`}
+                >
+                  {movement.quantity > 0 ? "+" : ""}
+                  {movement.quantity}
+                </td>
+                <td className="p-3">{movement.balanceAfter}</td>
+                <td className="p-3">{movement.performedBy?.name}</td>
+                <td className="p-3">{movement.note}</td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="8" className="p-3 text-center text-gray-400">
+                No movements recorded
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MovementHistory;
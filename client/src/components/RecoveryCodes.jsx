@@ -0,0 +1,41 @@
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleDownload = () => {
+    const blob = new Blob([codes.join("\n") + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex flex-col items-center space-y-4">
+      <p className="text-gray-300 text-center text-sm">
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose access to your authenticator app. They won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-white bg-gray-700 p-4 rounded w-full text-center">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <button
+        onClick={handleDownload}
+        className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+      >
+        Download Codes
+      </button>
+      {onDone && (
+        <button
+          onClick={onDone}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          I've Saved My Codes
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryCodes;
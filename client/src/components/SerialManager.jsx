@@ -0,0 +1,267 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+// receives, issues, returns and scraps the units of a serialized item
+const SerialManager = ({
+  item,
+  token,
+  locations,
+  onClose,
+  onChange,
+  onTrace,
+}) => {
+  const [units, setUnits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [location, setLocation] = useState("");
+  const [serialText, setSerialText] = useState("");
+
+  const fetchUnits = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/serials?status=${statusFilter}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load units");
+
+      setUnits(data.units);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchUnits();
+  }, [item._id, statusFilter]);
+
+  const sendRequest = async (path, body, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchUnits();
+      onChange();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+
+    const received = await sendRequest(
+      `/items/${item._id}/serials`,
+      {
+        serialNumbers: serialText.split(/[\s,]+/).filter(Boolean),
+        location: location || null,
+      },
+      "Units received"
+    );
+    if (received) setSerialText("");
+  };
+
+  const changeStatus = (unit, status, extra = {}) =>
+    sendRequest(
+      `/serials/${encodeURIComponent(unit.serialNumber)}/status`,
+      { status, ...extra },
+      `${unit.serialNumber} is now ${status.replace("_", " ")}`
+    );
+
+  const handleIssue = (unit) => {
+    const assignedTo = window.prompt(`Who is ${unit.serialNumber} issued to?`);
+    if (!assignedTo) return;
+    changeStatus(unit, "issued", { assignedTo });
+  };
+
+  const handleScrap = (unit) => {
+    if (!window.confirm(`Scrap ${unit.serialNumber}?`)) return;
+    changeStatus(unit, "scrapped");
+  };
+
+  const handleMove = (unit) =>
+    sendRequest(
+      `/serials/${encodeURIComponent(unit.serialNumber)}/move`,
+      { location: location || null },
+      `${unit.serialNumber} moved`
+    );
+
+  const actionButton = (label, onClick, color) => (
+    <button
+      onClick={onClick}
+      className={`px-2 py-1 ${color} text-white rounded text-xs focus:outline-none focus:shadow-outline`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-white">
+          Serial Units: {item.name}
+        </h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+        >
+          ✖ Close
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center mb-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="in_stock">In stock</option>
+          <option value="issued">Issued</option>
+          <option value="returned">Returned</option>
+          <option value="scrapped">Scrapped</option>
+        </select>
+        <select
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+          title="Location for receipts, returns and moves"
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+        >
+          <option value="">Unassigned</option>
+          {locations.map((option) => (
+            <option key={option._id} value={option._id}>
+              {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <table className="w-full text-left table-auto border-collapse min-w-[600px] mb-6 text-sm">
+        <thead>
+          <tr className="bg-gray-700">
+            <th className="p-2 border-b border-gray-600">Serial</th>
+            <th className="p-2 border-b border-gray-600">Status</th>
+            <th className="p-2 border-b border-gray-600">Where</th>
+            <th className="p-2 border-b border-gray-600">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="4" className="p-2 text-center text-gray-400">
+                Loading...
+              </td>
+            </tr>
+          ) : units.length > 0 ? (
+            units.map((unit) => (
+              <tr
+                key={unit._id}
+                className="border-b border-gray-700 hover:bg-gray-700"
+              >
+                <td className="p-2">
+                  <button
+                    onClick={() => onTrace(unit.serialNumber)}
+                    className="text-blue-400 hover:underline"
+                  >
+                    {unit.serialNumber}
+                  </button>
+                </td>
+                <td className="p-2">{unit.status.replace("_", " ")}</td>
+                <td className="p-2">
+                  {unit.status === "issued"
+                    ? unit.assignedTo
+                    : unit.location?.name || "—"}
+                </td>
+                <td className="p-2">
+                  <div className="flex gap-1 flex-wrap">
+                    {["in_stock", "returned"].includes(unit.status) &&
+                      actionButton(
+                        "📤 Issue",
+                        () => handleIssue(unit),
+                        "bg-blue-600 hover:bg-blue-700"
+                      )}
+                    {["in_stock", "returned"].includes(unit.status) &&
+                      actionButton(
+                        "🚚 Move",
+                        () => handleMove(unit),
+                        "bg-gray-600 hover:bg-gray-700"
+                      )}
+                    {unit.status === "issued" &&
+                      actionButton(
+                        "📥 Return",
+                        () =>
+                          changeStatus(unit, "returned", {
+                            location: location || null,
+                          }),
+                        "bg-yellow-600 hover:bg-yellow-700"
+                      )}
+                    {unit.status === "returned" &&
+                      actionButton(
+                        "✅ Restock",
+                        () => changeStatus(unit, "in_stock"),
+                        "bg-green-600 hover:bg-green-700"
+                      )}
+                    {["in_stock", "returned"].includes(unit.status) &&
+                      actionButton(
+                        "🗑️ Scrap",
+                        () => handleScrap(unit),
+                        "bg-red-600 hover:bg-red-700"
+                      )}
+                  </div>
+                </td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="4" className="p-2 text-center text-gray-400">
+                No units yet
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <form
+        onSubmit={handleReceive}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+      >
+        <textarea
+          placeholder="Serial numbers to receive, one per line"
+          rows={3}
+          className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={serialText}
+          onChange={(e) => setSerialText(e.target.value)}
+          required
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Receive Units
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SerialManager;
@@ -0,0 +1,120 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+const STATUS_STYLES = {
+  in_stock: "bg-green-600",
+  issued: "bg-blue-600",
+  returned: "bg-yellow-600",
+  scrapped: "bg-red-600",
+};
+
+// full history of one serial number: where it was kept and who had it
+const SerialTrace = ({ token, serialNumber }) => {
+  const [code, setCode] = useState("");
+  const [unit, setUnit] = useState(null);
+
+  const trace = async (serial) => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/serials/${encodeURIComponent(serial)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Trace failed");
+
+      setUnit(data.unit);
+    } catch (err) {
+      setUnit(null);
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  useEffect(() => {
+    if (serialNumber) trace(serialNumber);
+  }, [serialNumber]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    trace(code);
+    setCode("");
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+      <h3 className="text-2xl font-semibold mb-4 text-white">
+        🔢 Serial Number Trace
+      </h3>
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center mb-4"
+      >
+        <input
+          type="text"
+          placeholder="Scan or type a serial number"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Trace
+        </button>
+      </form>
+      {unit && (
+        <>
+          <p className="text-white font-semibold mb-1">
+            {unit.serialNumber} · {unit.item?.name}
+            <span
+              className={`ml-2 px-2 py-1 rounded text-xs ${
+                STATUS_STYLES[unit.status]
+              }`}
+            >
+              {unit.status.replace("_", " ")}
+            </span>
+          </p>
+          <p className="text-gray-400 text-sm mb-3">
+            {unit.location?.name ||
+              unit.assignedTo ||
+              (unit.status === "scrapped" ? "Scrapped" : "Unassigned")}
+          </p>
+          <table className="w-full text-left table-auto border-collapse text-sm min-w-[500px]">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="p-2">Date</th>
+                <th className="p-2">Status</th>
+                <th className="p-2">Location</th>
+                <th className="p-2">Assigned To</th>
+                <th className="p-2">By</th>
+                <th className="p-2">Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {unit.history.map((entry) => (
+                <tr key={entry._id} className="border-b border-gray-700">
+                  <td className="p-2">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td className="p-2">{entry.status.replace("_", " ")}</td>
+                  <td className="p-2">{entry.location?.name || "—"}</td>
+                  <td className="p-2">{entry.assignedTo || "—"}</td>
+                  <td className="p-2">{entry.performedBy?.name}</td>
+                  <td className="p-2">{entry.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SerialTrace;
@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+// pending stock requests from staff, approving one issues the stock
+const StockRequests = ({ token, locations, onChange }) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [approveLocation, setApproveLocation] = useState({});
+
+  const fetchRequests = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/stock-requests?status=pending&limit=50`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load requests");
+
+      setRequests(data.requests);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, [token]);
+
+  const review = async (request, action, body, successMessage) => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/stock-requests/${request._id}/${action}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(body),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchRequests();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleApprove = (request) => {
+    // serialized items are issued as the units named here
+    let serialNumbers;
+    if (request.item?.serialized) {
+      const serials = window.prompt(
+        `Serial numbers of the ${request.quantity} × ${request.item.name} issued`
+      );
+      if (serials === null) return;
+      serialNumbers = serials.split(/[\s,]+/).filter(Boolean);
+    }
+
+    review(
+      request,
+      "approve",
+      { location: approveLocation[request._id] || null, serialNumbers },
+      "Request approved, stock issued"
+    );
+  };
+
+  const handleReject = (request) => {
+    const note = window.prompt("Reason for rejecting (optional)");
+    if (note === null) return;
+    review(request, "reject", { note }, "Request rejected");
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <h3 className="text-2xl font-semibold mb-4 text-white">
+        📨 Stock Requests
+      </h3>
+      {loading ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : requests.length > 0 ? (
+        <ul className="divide-y divide-gray-700">
+          {requests.map((request) => (
+            <li
+              key={request._id}
+              className="py-2 flex flex-wrap justify-between items-center gap-2 text-sm"
+            >
+              <div>
+                <span className="font-semibold">
+                  {request.quantity} × {request.item?.name}
+                  {request.variant && ` · ${request.variant.name}`}
+                </span>
+                <span className="text-gray-400">
+                  {" "}
+                  · {request.requestedBy?.name}
+                </span>
+                <div className="text-xs text-gray-400">
+                  {request.reason || "No reason given"} ·{" "}
+                  {new Date(request.createdAt).toLocaleString()}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={approveLocation[request._id] || ""}
+                  onChange={(e) =>
+                    setApproveLocation((prev) => ({
+                      ...prev,
+                      [request._id]: e.target.value,
+                    }))
+                  }
+                  className="px-2 py-1 rounded bg-gray-700 border border-gray-600 text-white text-sm"
+                >
+                  <option value="">Unassigned</option>
+                  {locations.map((location) => (
+                    <option key={location._id} value={location._id}>
+                      {location.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleApprove(request)}
+                  className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ✅ Approve
+                </button>
+                <button
+                  onClick={() => handleReject(request)}
+                  className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ❌ Reject
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">No pending requests</p>
+      )}
+    </div>
+  );
+};
+
+export default StockRequests;
@@ -0,0 +1,169 @@
+import { useEffect, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+
+// daily stock and value from the snapshots, for one item when given,
+// otherwise for the chosen category
+const StockTrends = ({ token, categories, item, onClearItem }) => {
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ category: "", from: "", to: "" });
+
+  const fetchTrends = async () => {
+    const queryParams = new URLSearchParams(
+      item ? { itemId: item._id, from: filters.from, to: filters.to } : filters
+    ).toString();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/reports/trends?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load trends");
+
+      setPoints(data.points);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrends();
+  }, [token, item?._id]);
+
+  const handleFilterChange = (e) => {
+    setFilters((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-white">
+          📈 Stock Trends{item && `: ${item.name}`}
+        </h3>
+        {item && (
+          <button
+            onClick={onClearItem}
+            className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+          >
+            ✖ All Items
+          </button>
+        )}
+      </div>
+      <div className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center mb-4">
+        {!item && (
+          <select
+            name="category"
+            value={filters.category}
+            onChange={handleFilterChange}
+            className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All Categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.path}
+              </option>
+            ))}
+          </select>
+        )}
+        <input
+          type="date"
+          name="from"
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={filters.from}
+          onChange={handleFilterChange}
+        />
+        <input
+          type="date"
+          name="to"
+          className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={filters.to}
+          onChange={handleFilterChange}
+        />
+        <button
+          onClick={() => fetchTrends()}
+          className="w-full md:w-auto px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Show
+        </button>
+      </div>
+      {loading ? (
+        <p className="text-center text-gray-400">Loading...</p>
+      ) : points.length === 0 ? (
+        <p className="text-center text-gray-400">
+          No snapshots for this period yet
+        </p>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={points}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={formatDay}
+              stroke="#9ca3af"
+              fontSize={12}
+            />
+            <YAxis yAxisId="quantity" stroke="#10b981" fontSize={12} />
+            <YAxis
+              yAxisId="value"
+              orientation="right"
+              stroke="#3b82f6"
+              fontSize={12}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "#1f2937",
+                border: "1px solid #4b5563",
+              }}
+              labelFormatter={formatDay}
+            />
+            <Legend />
+            <Line
+              yAxisId="quantity"
+              type="monotone"
+              dataKey="quantity"
+              name="Units"
+              stroke="#10b981"
+              dot={false}
+            />
+            <Line
+              yAxisId="value"
+              type="monotone"
+              dataKey="value"
+              name="Value (₹)"
+              stroke="#3b82f6"
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default StockTrends;
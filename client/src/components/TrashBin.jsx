@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+const TrashBin = ({ token, refreshKey, onChange }) => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const fetchTrash = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/trash`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+
+      setItems(data.items);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, [token, refreshKey]);
+
+  const postAction = async (path, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage || data.message);
+      fetchTrash();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handlePurge = () => {
+    if (
+      !window.confirm(
+        `Permanently delete items trashed more than ${retentionDays} days ago?`
+      )
+    )
+      return;
+    postAction("/items/trash/purge");
+  };
+
+  const now = new Date();
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+      <div className="flex justify-between items-center">
+        <h3 className="text-2xl font-semibold text-white">
+          🗑️ Trash ({items.length})
+        </h3>
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+        >
+          {open ? "Hide" : "Show"}
+        </button>
+      </div>
+      {open && (
+        <>
+          <p className="text-sm text-gray-400 mt-2 mb-4">
+            Deleted items can be restored. They may be purged permanently after{" "}
+            {retentionDays} days.
+          </p>
+          <ul className="divide-y divide-gray-700 mb-4">
+            {items.length > 0 ? (
+              items.map((item) => (
+                <li
+                  key={item._id}
+                  className="py-2 flex flex-wrap justify-between items-center gap-2 text-sm"
+                >
+                  <span>
+                    <span className="font-semibold">{item.name}</span>{" "}
+                    <span className="text-gray-400">
+                      ({item.category?.name}) · deleted{" "}
+                      {new Date(item.deletedAt).toLocaleDateString()} by{" "}
+                      {item.deletedBy?.name || "unknown"}
+                      {new Date(item.purgeableAt) <= now && " · purgeable"}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() =>
+                      postAction(`/items/${item._id}/restore`, "Item restored")
+                    }
+                    className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    ♻️ Restore
+                  </button>
+                </li>
+              ))
+            ) : (
+              <li className="py-2 text-gray-400">Trash is empty</li>
+            )}
+          </ul>
+          <button
+            onClick={handlePurge}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Purge expired items
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrashBin;
@@ -0,0 +1,50 @@
+import { useState } from "react";
+
+const TwoFactorEnrollment = ({ enrollment, onConfirm }) => {
+  const [code, setCode] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(code);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="flex flex-col items-center space-y-4"
+    >
+      <p className="text-gray-300 text-center text-sm">
+        Scan this QR code with an authenticator app such as Google Authenticator
+        or 1Password, then enter the 6-digit code it shows.
+      </p>
+      <img
+        src={enrollment.qrCode}
+        alt="Two-factor QR code"
+        className="bg-white p-2 rounded w-48 h-48"
+      />
+      <p className="text-gray-400 text-xs text-center break-all">
+        Can't scan it? Enter this key instead:{" "}
+        <span className="font-mono text-white">{enrollment.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        maxLength={6}
+        className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-center tracking-widest"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+      />
+      <button
+        type="submit"
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+      >
+        Verify & Enable
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,258 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+
+const emptyForm = {
+  name: "",
+  attributes: "",
+  sku: "",
+  barcode: "",
+  price: "",
+  quantity: "",
+};
+
+// "size=M, colour=Red" -> { size: "M", colour: "Red" }
+const parseAttributes = (text) =>
+  Object.fromEntries(
+    text
+      .split(",")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([key, value]) => key && value)
+  );
+
+const formatAttributes = (attributes) =>
+  Object.entries(attributes || {})
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(", ");
+
+const VariantManager = ({ item, token, onClose, onChange }) => {
+  const [variants, setVariants] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchVariants = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/variants`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load variants");
+
+      setVariants(data.variants);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchVariants();
+  }, [item._id]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/variants`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            ...formData,
+            attributes: parseAttributes(formData.attributes),
+            price: formData.price === "" ? null : Number(formData.price),
+            quantity: Number(formData.quantity),
+          }),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to add variant");
+
+      setFormData(emptyForm);
+      toast.success("Variant added");
+      fetchVariants();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this variant?"))
+      return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items/${item._id}/variants/${id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Delete failed");
+
+      toast.success("Variant deleted");
+      fetchVariants();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-white">
+          Variants: {item.name}
+        </h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+        >
+          ✖ Close
+        </button>
+      </div>
+
+      <table className="w-full text-left table-auto border-collapse min-w-[600px] mb-6">
+        <thead>
+          <tr className="bg-gray-700">
+            <th className="p-3 border-b border-gray-600">Name</th>
+            <th className="p-3 border-b border-gray-600">SKU</th>
+            <th className="p-3 border-b border-gray-600">Barcode</th>
+            <th className="p-3 border-b border-gray-600">Qty</th>
+            <th className="p-3 border-b border-gray-600">Price</th>
+            <th className="p-3 border-b border-gray-600">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="6" className="p-3 text-center text-gray-400">
+                Loading...
+              </td>
+            </tr>
+          ) : variants.length > 0 ? (
+            variants.map((variant) => (
+              <tr
+                key={variant._id}
+                className="border-b border-gray-700 hover:bg-gray-700"
+              >
+                <td className="p-3">
+                  {variant.name}
+                  <div className="text-xs text-gray-400">
+                    {formatAttributes(variant.attributes)}
+                  </div>
+                </td>
+                <td className="p-3">{variant.sku}</td>
+                <td className="p-3">{variant.barcode}</td>
+                <td className="p-3">{variant.quantity}</td>
+                <td className="p-3">₹{variant.price ?? item.price}</td>
+                <td className="p-3">
+                  <button
+                    onClick={() => handleDelete(variant._id)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    🗑️ Delete
+                  </button>
+                </td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="6" className="p-3 text-center text-gray-400">
+                No variants yet
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col md:flex-row md:flex-wrap gap-3 sm:gap-4 items-center"
+      >
+        <input
+          type="text"
+          name="name"
+          placeholder="Variant name"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.name}
+          onChange={handleChange}
+          required
+        />
+        <input
+          type="text"
+          name="attributes"
+          placeholder="size=M, colour=Red"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.attributes}
+          onChange={handleChange}
+        />
+        <input
+          type="text"
+          name="sku"
+          placeholder="SKU"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.sku}
+          onChange={handleChange}
+          required
+        />
+        <input
+          type="text"
+          name="barcode"
+          placeholder="Barcode (optional)"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.barcode}
+          onChange={handleChange}
+        />
+        <input
+          type="number"
+          name="price"
+          placeholder={`Price (₹${item.price})`}
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.price}
+          onChange={handleChange}
+        />
+        <input
+          type="number"
+          name="quantity"
+          placeholder="Opening qty"
+          className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={formData.quantity}
+          onChange={handleChange}
+        />
+        <button
+          type="submit"
+          className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+        >
+          Add Variant
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default VariantManager;
@@ -2,28 +2,135 @@ import { createContext, useContext, useEffect, useState } from "react";
 
 const AuthContext = createContext();
 
+// renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// expiry time of a JWT in milliseconds, 0 if it can't be read
+const tokenExpiry = (jwt) => {
+  try {
+    const payload = jwt.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(() =>
     JSON.parse(localStorage.getItem("user"))
   );
 
   const [token, setToken] = useState(() => localStorage.getItem("token"));
+  const [refreshToken, setRefreshToken] = useState(() =>
+    localStorage.getItem("refreshToken")
+  );
 
-  const login = (userData, tokenData) => {
+  const login = (userData, tokenData, refreshTokenData) => {
     setUser(userData);
     setToken(tokenData);
+    setRefreshToken(refreshTokenData);
     localStorage.setItem("user", JSON.stringify(userData));
+    localStorage.setItem("refreshToken", refreshTokenData);
+    // written last, other tabs pick the new session up on this key
     localStorage.setItem("token", tokenData);
   };
 
-  const logout = () => {
+  // merges changes to the signed in user, e.g. after enabling 2FA
+  const updateUser = (changes) => {
+    const updatedUser = { ...user, ...changes };
+    setUser(updatedUser);
+    localStorage.setItem("user", JSON.stringify(updatedUser));
+  };
+
+  const clearSession = () => {
     setUser(null);
     setToken(null);
+    setRefreshToken(null);
     localStorage.clear();
   };
 
+  const logout = () => {
+    // revoke the session on the server, the client is cleared either way
+    fetch(`${import.meta.env.VITE_API_BASE_URL}/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    }).catch((err) => console.error(err.message));
+
+    clearSession();
+  };
+
+  const refreshSession = async () => {
+    // another tab may already have rotated the refresh token
+    const latestToken = localStorage.getItem("refreshToken");
+    if (latestToken !== refreshToken) {
+      setToken(localStorage.getItem("token"));
+      setRefreshToken(latestToken);
+      return;
+    }
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/refresh`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        }
+      );
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        if (localStorage.getItem("refreshToken") === refreshToken) {
+          clearSession();
+        }
+        return;
+      }
+
+      login(data.user, data.token, data.refreshToken);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  // renew the access token shortly before it expires
+  useEffect(() => {
+    if (!token || !refreshToken) return;
+
+    // jitter keeps several open tabs from refreshing at the same moment
+    const delay =
+      tokenExpiry(token) -
+      Date.now() -
+      REFRESH_MARGIN_MS +
+      Math.random() * (REFRESH_MARGIN_MS / 2);
+    const timer = setTimeout(refreshSession, Math.max(delay, 0));
+
+    return () => clearTimeout(timer);
+  }, [token, refreshToken]);
+
+  // keep every open tab on the same session
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== "token" && e.key !== null) return;
+
+      setUser(JSON.parse(localStorage.getItem("user")));
+      setToken(localStorage.getItem("token"));
+      setRefreshToken(localStorage.getItem("refreshToken"));
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // "*" is granted to roles with every permission
+  const can = (permission) =>
+    !!user?.permissions?.some((p) => p === "*" || p === permission);
+
   return (
-    <AuthContext.Provider value={{ user, token, login, logout }}>
+    <AuthContext.Provider
+      value={{ user, token, login, logout, updateUser, can }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const AcceptInvite = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [invite, setInvite] = useState(null);
+  const [formData, setFormData] = useState({
+    name: "",
+    password: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_API_BASE_URL}/invites/accept?token=${encodeURIComponent(token || "")}`
+        );
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Invalid invite");
+
+        setInvite(data.invite);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    fetchInvite();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/invites/accept`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            token,
+            name: formData.name,
+            password: formData.password,
+          }),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Could not accept invite");
+
+      toast.success(data.message);
+      navigate("/login");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "50px auto" }} className="p-4">
+      <h2 className="text-center text-3xl font-bold mb-8 text-white">
+        Accept Invite
+      </h2>
+
+      {invite ? (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col items-center space-y-6"
+        >
+          <p className="text-gray-300 text-center">
+            You have been invited as <strong>{invite.role}</strong> with{" "}
+            <strong>{invite.email}</strong>. Choose a name and password to
+            finish setting up your account.
+          </p>
+
+          <input
+            type="text"
+            name="name"
+            placeholder="Full Name"
+            className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+            value={formData.name}
+            onChange={handleChange}
+            required
+          />
+
+          <input
+            type="password"
+            name="password"
+            placeholder="Password"
+            className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+            value={formData.password}
+            onChange={handleChange}
+            required
+          />
+
+          <input
+            type="password"
+            name="confirmPassword"
+            placeholder="Confirm Password"
+            className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+          />
+
+          <button
+            type="submit"
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-4"
+          >
+            Create Account
+          </button>
+          {error && <p className="text-red-500 mt-2">{error}</p>}
+        </form>
+      ) : error ? (
+        <div className="text-center">
+          <p className="text-red-500 mb-6">{error}</p>
+          <p className="text-gray-300">
+            Ask an administrator to send you a new invite.
+          </p>
+        </div>
+      ) : (
+        <p className="text-center text-gray-400">Loading...</p>
+      )}
+    </div>
+  );
+};
+
+export default AcceptInvite;
@@ -6,9 +6,22 @@ import Skeleton from "react-loading-skeleton";
 import "react-loading-skeleton/dist/skeleton.css";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
+import MovementHistory from "../components/MovementHistory";
+import LowStockAlerts from "../components/LowStockAlerts";
+import LocationManager from "../components/LocationManager";
+import CategoryManager from "../components/CategoryManager";
+import ImportItems from "../components/ImportItems";
+import TrashBin from "../components/TrashBin";
+import VariantManager from "../components/VariantManager";
+import CodeLookup from "../components/CodeLookup";
+import StockTrends from "../components/StockTrends";
+import StockRequests from "../components/StockRequests";
+import ExpiringLots from "../components/ExpiringLots";
+import SerialManager from "../components/SerialManager";
+import SerialTrace from "../components/SerialTrace";
 
 const AdminDashboard = () => {
-  const { user, token } = useAuth();
+  const { user, token, can } = useAuth();
   const navigate = useNavigate();
 
   const [items, setItems] = useState([]);
@@ -16,17 +29,34 @@ const AdminDashboard = () => {
   const [formData, setFormData] = useState({
     name: "",
     category: "",
+    sku: "",
+    barcode: "",
     quantity: "",
     price: "",
+    reorderLevel: "",
+    reorderQuantity: "",
+    serialized: false,
   });
   const [error, setError] = useState("");
   const [editingItemId, setEditingItemId] = useState(null);
+  // version of the item the edit form was loaded from
+  const [editVersion, setEditVersion] = useState(null);
   const [editForm, setEditForm] = useState({
     name: "",
     category: "",
-    quantity: "",
+    sku: "",
+    barcode: "",
     price: "",
+    reorderLevel: "",
+    reorderQuantity: "",
   });
+  const [historyItem, setHistoryItem] = useState(null);
+  const [variantItem, setVariantItem] = useState(null);
+  const [serialItem, setSerialItem] = useState(null);
+  const [tracedSerial, setTracedSerial] = useState("");
+  const [trendItem, setTrendItem] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
 
   const [filters, setFilters] = useState({
     search: "",
@@ -35,6 +65,7 @@ const AdminDashboard = () => {
     maxPrice: "",
     minQty: "",
     maxQty: "",
+    location: "",
     sort: "createdAt",
     order: "desc",
   });
@@ -43,7 +74,7 @@ const AdminDashboard = () => {
   const [totalPages, setTotalPages] = useState(1);
 
   useEffect(() => {
-    if (!user || user.role !== "admin") {
+    if (!user || !can("items:update")) {
       navigate("/login");
     }
   }, [user, navigate]);
@@ -79,6 +110,50 @@ const AdminDashboard = () => {
     fetchItems();
   }, [token, page]);
 
+  const fetchLocations = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/locations`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setLocations(data.locations || []);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchLocations();
+  }, [token]);
+
+  const fetchCategories = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/categories`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setCategories(data.categories || []);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchCategories();
+  }, [token]);
+
   const handleFilterChange = (e) => {
     setFilters((prev) => ({
       ...prev,
@@ -107,8 +182,10 @@ const AdminDashboard = () => {
         },
         body: JSON.stringify({
           ...formData,
-          quantity: Number(formData.quantity),
+          quantity: formData.serialized ? 0 : Number(formData.quantity),
           price: Number(formData.price),
+          reorderLevel: Number(formData.reorderLevel),
+          reorderQuantity: Number(formData.reorderQuantity),
         }),
       });
 
@@ -116,9 +193,20 @@ const AdminDashboard = () => {
 
       if (!res.ok) throw new Error(data.message || "Failed to create item");
 
-      setFormData({ name: "", category: "", quantity: "", price: "" });
+      setFormData({
+        name: "",
+        category: "",
+        sku: "",
+        barcode: "",
+        quantity: "",
+        price: "",
+        reorderLevel: "",
+        reorderQuantity: "",
+        serialized: false,
+      });
       toast.success("Item added successfully");
       fetchItems();
+      fetchCategories();
     } catch (err) {
       toast.error(err.message || "Something went wrong");
     }
@@ -126,11 +214,15 @@ const AdminDashboard = () => {
 
   const startEditing = (item) => {
     setEditingItemId(item._id);
+    setEditVersion(item.__v);
     setEditForm({
       name: item.name,
-      category: item.category,
-      quantity: item.quantity,
+      category: item.category?._id || "",
+      sku: item.sku || "",
+      barcode: item.barcode || "",
       price: item.price,
+      reorderLevel: item.reorderLevel ?? 0,
+      reorderQuantity: item.reorderQuantity ?? 0,
     });
   };
 
@@ -141,7 +233,26 @@ const AdminDashboard = () => {
     }));
   };
 
-  const handleUpdate = async (id) => {
+  // lists the fields someone else changed to something other than our edit
+  const describeConflict = (current) =>
+    [
+      ["name", "Name", current.name],
+      ["category", "Category", current.category?._id],
+      ["sku", "SKU", current.sku || ""],
+      ["barcode", "Barcode", current.barcode || ""],
+      ["price", "Price", current.price],
+      ["reorderLevel", "Reorder level", current.reorderLevel ?? 0],
+      ["reorderQuantity", "Reorder qty", current.reorderQuantity ?? 0],
+    ]
+      .filter(([field, , value]) => String(editForm[field]) !== String(value))
+      .map(([field, label, value]) =>
+        field === "category"
+          ? `${label}: now ${current.category?.name}`
+          : `${label}: now "${value}", yours "${editForm[field]}"`
+      )
+      .join("\n");
+
+  const handleUpdate = async (id, version = editVersion) => {
     try {
       const res = await fetch(
         `${import.meta.env.VITE_API_BASE_URL}/items/${id}`,
@@ -153,13 +264,30 @@ const AdminDashboard = () => {
           },
           body: JSON.stringify({
             ...editForm,
-            quantity: Number(editForm.quantity),
             price: Number(editForm.price),
+            reorderLevel: Number(editForm.reorderLevel),
+            reorderQuantity: Number(editForm.reorderQuantity),
+            version,
           }),
         }
       );
 
       const data = await res.json();
+
+      // someone saved the item while we were editing it
+      if (res.status === 409) {
+        const differences = describeConflict(data.item);
+        const overwrite = window.confirm(
+          `${data.message}\n\n${differences || "No conflicting fields."}\n\n` +
+            "OK to save your changes over theirs, Cancel to load their version."
+        );
+        if (overwrite) return handleUpdate(id, data.item.__v);
+
+        startEditing(data.item);
+        fetchItems();
+        toast.info("Loaded the latest version of the item");
+        return;
+      }
       if (!res.ok) throw new Error(data.message || "Update failed");
 
       toast.success("Item updated");
@@ -171,7 +299,7 @@ const AdminDashboard = () => {
   };
 
   const handleDelete = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this item?")) return;
+    if (!window.confirm("Move this item to the trash?")) return;
 
     try {
       const res = await fetch(
@@ -187,51 +315,73 @@ const AdminDashboard = () => {
       const data = await res.json();
       if (!res.ok) throw new Error(data.message || "Delete failed");
 
-      toast.success("Item deleted");
+      toast.success("Item moved to trash");
       fetchItems();
     } catch (err) {
       toast.error(err.message || "Something went wrong");
     }
   };
 
-  const handleExportCSV = () => {
-    const csvContent =
-      "data:text/csv;charset=utf-8," +
-      ["Name,Category,Quantity,Price,CreatedBy"]
-        .concat(
-          items.map(
-            (item) =>
-              `${item.name},${item.category},${item.quantity},${item.price},${item.createdBy?.name}`
-          )
-        )
-        .join("\n");
-
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", "inventory.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const fetchExport = async (format) => {
+    const queryParams = new URLSearchParams({ ...filters, format }).toString();
+
+    const res = await fetch(
+      `${import.meta.env.VITE_API_BASE_URL}/items/export?${queryParams}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.message || "Export failed");
+    }
+
+    return res;
   };
 
-  const exportToPDF = () => {
-    const doc = new jsPDF();
-
-    autoTable(doc, {
-      head: [["Name", "Category", "Qty", "Price", "Created By"]],
-      body: items.map((item) => [
-        item.name,
-        item.category,
-        item.quantity,
-        item.price,
-        item.createdBy?.name || "N/A",
-      ]),
-      startY: 20,
-    });
+  const handleExport = async (format) => {
+    try {
+      const res = await fetchExport(format);
+      const url = URL.createObjectURL(await res.blob());
 
-    doc.text("Inventory Items", 14, 15);
-    doc.save("inventory_items.pdf");
+      const link = document.createElement("a");
+      link.setAttribute("href", url);
+      link.setAttribute("download", `inventory.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const exportToPDF = async () => {
+    try {
+      const res = await fetchExport("json");
+      const rows = await res.json();
+      const doc = new jsPDF();
+
+      autoTable(doc, {
+        head: [["Name", "Category", "Qty", "Price", "Created By"]],
+        body: rows.map((row) => [
+          row.name,
+          row.category,
+          row.quantity,
+          row.price,
+          row.createdBy || "N/A",
+        ]),
+        startY: 20,
+      });
+
+      doc.text("Inventory Items", 14, 15);
+      doc.save("inventory_items.pdf");
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
   };
 
   const handleGoBack = () => {
@@ -245,9 +395,66 @@ const AdminDashboard = () => {
         {" "}
         <h2 className="text-3xl font-bold mb-2">Admin Dashboard</h2>
         <p className="text-lg text-gray-300">Welcome, {user?.name} 👑</p>
+        <div className="flex flex-wrap gap-3 justify-center mt-4">
+          <button
+            onClick={() => navigate("/admin/suppliers")}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            🏭 Suppliers
+          </button>
+          <button
+            onClick={() => navigate("/admin/purchase-orders")}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            🧾 Purchase Orders
+          </button>
+          {can("sales-orders:manage") && (
+            <button
+              onClick={() => navigate("/admin/sales-orders")}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              🚚 Sales Orders
+            </button>
+          )}
+          {can("stocktakes:count") && (
+            <button
+              onClick={() => navigate("/admin/stocktakes")}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              📋 Stocktakes
+            </button>
+          )}
+          {can("reports:view") && (
+            <button
+              onClick={() => navigate("/admin/reports")}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              📈 Reports
+            </button>
+          )}
+          {can("audit:view") && (
+            <button
+              onClick={() => navigate("/admin/audit")}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              🕵️ Audit Log
+            </button>
+          )}
+        </div>
         {error && <p className="text-red-500 mt-4">{error}</p>}
       </div>
       <hr className="border-gray-700 my-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl" />{" "}
+      <LowStockAlerts token={token} refreshKey={items} />
+      <ExpiringLots token={token} refreshKey={items} />
+      {can("stock-requests:review") && (
+        <StockRequests
+          token={token}
+          locations={locations}
+          onChange={fetchItems}
+        />
+      )}
+      <CodeLookup token={token} onFound={setHistoryItem} />
+      <SerialTrace token={token} serialNumber={tracedSerial} />
       <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
         {" "}
         <h3 className="text-2xl font-semibold mb-4 text-white">
@@ -257,19 +464,24 @@ const AdminDashboard = () => {
           <input
             type="text"
             name="search"
-            placeholder="Search name..."
+            placeholder="Search name, SKU or barcode..."
             className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
             value={filters.search}
             onChange={handleFilterChange}
           />
-          <input
-            type="text"
+          <select
             name="category"
-            placeholder="Category"
-            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
             value={filters.category}
             onChange={handleFilterChange}
-          />
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All Categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.path}
+              </option>
+            ))}
+          </select>
           <input
             type="number"
             name="minPrice"
@@ -322,6 +534,19 @@ const AdminDashboard = () => {
             <option value="desc">Descending</option>
             <option value="asc">Ascending</option>
           </select>
+          <select
+            name="location"
+            value={filters.location}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All Locations</option>
+            {locations.map((location) => (
+              <option key={location._id} value={location._id}>
+                {location.name}
+              </option>
+            ))}
+          </select>
         </div>
         <div className="flex flex-wrap gap-3 sm:gap-4 mb-4 justify-center">
           {" "}
@@ -332,11 +557,17 @@ const AdminDashboard = () => {
             Apply Filters
           </button>
           <button
-            onClick={handleExportCSV}
+            onClick={() => handleExport("csv")}
             className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded focus:outline-none focus:shadow-outline flex-grow text-sm md:flex-grow-0"
           >
             ⬇️ Export CSV
           </button>
+          <button
+            onClick={() => handleExport("xlsx")}
+            className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white font-bold rounded focus:outline-none focus:shadow-outline flex-grow text-sm md:flex-grow-0"
+          >
+            📊 Export XLSX
+          </button>
           <button
             onClick={exportToPDF}
             className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white font-bold rounded focus:outline-none focus:shadow-outline flex-grow text-sm md:flex-grow-0"
@@ -356,6 +587,7 @@ const AdminDashboard = () => {
                 <th className="p-3 border-b border-gray-600">Category</th>
                 <th className="p-3 border-b border-gray-600">Qty</th>
                 <th className="p-3 border-b border-gray-600">Price</th>
+                <th className="p-3 border-b border-gray-600">Reorder At</th>
                 <th className="p-3 border-b border-gray-600">Created By</th>
                 <th className="p-3 border-b border-gray-600">Actions</th>
               </tr>
@@ -378,6 +610,9 @@ const AdminDashboard = () => {
                   <td className="p-3">
                     <Skeleton width={80} />
                   </td>
+                  <td className="p-3">
+                    <Skeleton width={60} />
+                  </td>
                   <td className="p-3">
                     <Skeleton width={100} />
                   </td>
@@ -397,6 +632,7 @@ const AdminDashboard = () => {
                 <th className="p-3 border-b border-gray-600">Category</th>
                 <th className="p-3 border-b border-gray-600">Qty</th>
                 <th className="p-3 border-b border-gray-600">Price</th>
+                <th className="p-3 border-b border-gray-600">Reorder At</th>
                 <th className="p-3 border-b border-gray-600">Created By</th>
                 <th className="p-3 border-b border-gray-600">Actions</th>
               </tr>
@@ -411,31 +647,51 @@ const AdminDashboard = () => {
                     {editingItemId === item._id ? (
                       <>
                         <td className="p-3">
-                          <input
-                            type="text"
-                            name="name"
-                            value={editForm.name}
-                            onChange={handleEditChange}
-                            className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
-                          />
+                          <div className="flex flex-col gap-1">
+                            <input
+                              type="text"
+                              name="name"
+                              value={editForm.name}
+                              onChange={handleEditChange}
+                              className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                            <input
+                              type="text"
+                              name="sku"
+                              placeholder="SKU"
+                              value={editForm.sku}
+                              onChange={handleEditChange}
+                              className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                            <input
+                              type="text"
+                              name="barcode"
+                              placeholder="Barcode"
+                              value={editForm.barcode}
+                              onChange={handleEditChange}
+                              className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                          </div>
                         </td>
                         <td className="p-3">
-                          <input
-                            type="text"
+                          <select
                             name="category"
                             value={editForm.category}
                             onChange={handleEditChange}
                             className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
-                          />
+                          >
+                            {categories.map((category) => (
+                              <option key={category._id} value={category._id}>
+                                {category.path}
+                              </option>
+                            ))}
+                          </select>
                         </td>
-                        <td className="p-3">
-                          <input
-                            type="number"
-                            name="quantity"
-                            value={editForm.quantity}
-                            onChange={handleEditChange}
-                            className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
-                          />
+                        <td
+                          className="p-3"
+                          title="Use stock history to change quantity"
+                        >
+                          {item.quantity}
                         </td>
                         <td className="p-3">
                           <input
@@ -446,6 +702,26 @@ const AdminDashboard = () => {
                             className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
                           />
                         </td>
+                        <td className="p-3">
+                          <div className="flex flex-col gap-1">
+                            <input
+                              type="number"
+                              name="reorderLevel"
+                              title="Reorder level"
+                              value={editForm.reorderLevel}
+                              onChange={handleEditChange}
+                              className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                            <input
+                              type="number"
+                              name="reorderQuantity"
+                              title="Reorder quantity"
+                              value={editForm.reorderQuantity}
+                              onChange={handleEditChange}
+                              className="w-full p-2 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                          </div>
+                        </td>
                         <td className="p-3">{item.createdBy?.name}</td>
                         <td className="p-3">
                           <div className="flex gap-2 flex-wrap">
@@ -466,10 +742,63 @@ const AdminDashboard = () => {
                       </>
                     ) : (
                       <>
-                        <td className="p-3">{item.name}</td>
-                        <td className="p-3">{item.category}</td>
-                        <td className="p-3">{item.quantity}</td>
+                        <td className="p-3">
+                          {item.name}
+                          {(item.sku || item.barcode) && (
+                            <div className="text-xs text-gray-400">
+                              {[item.sku, item.barcode]
+                                .filter(Boolean)
+                                .join(" · ")}
+                            </div>
+                          )}
+                        </td>
+                        <td className="p-3">{item.category?.name}</td>
+                        <td
+                          className={`p-3 ${
+                            item.quantity <= item.reorderLevel
+                              ? "text-red-400 font-semibold"
+                              : ""
+                          }`}
+                        >
+                          {item.quantity}
+                          {item.reserved > 0 && (
+                            <div className="text-xs text-yellow-400 font-normal">
+                              {item.reserved} reserved · {item.available}{" "}
+                              available
+                            </div>
+                          )}
+                          {item.stockByLocation?.length > 0 && (
+                            <ul className="text-xs text-gray-400 font-normal">
+                              {item.stockByLocation.map((stock) => (
+                                <li key={stock.location?._id}>
+                                  {stock.location?.name}: {stock.quantity}
+                                </li>
+                              ))}
+                              {item.unassignedQuantity > 0 && (
+                                <li>Unassigned: {item.unassignedQuantity}</li>
+                              )}
+                            </ul>
+                          )}
+                          {item.variants?.length > 0 && (
+                            <ul className="text-xs text-gray-400 font-normal">
+                              {item.variants.map((variant) => (
+                                <li key={variant._id}>
+                                  {variant.name}: {variant.quantity}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
                         <td className="p-3">₹{item.price}</td>
+                        <td className="p-3">
+                          {item.reorderLevel}
+                          {item.reorderQuantity > 0 && (
+                            <span className="text-gray-400">
+                              {" "}
+                              (+{item.reorderQuantity})
+                            </span>
+                          )}
+                        </td>
                         <td className="p-3">{item.createdBy?.name}</td>
                         <td className="p-3">
                           <div className="flex gap-2 flex-wrap">
@@ -479,6 +808,34 @@ const AdminDashboard = () => {
                             >
                               ✏️ Edit
                             </button>
+                            <button
+                              onClick={() => setHistoryItem(item)}
+                              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              📜 History
+                            </button>
+                            {can("reports:view") && (
+                              <button
+                                onClick={() => setTrendItem(item)}
+                                className="px-3 py-1 bg-teal-600 hover:bg-teal-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                              >
+                                📈 Trend
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setVariantItem(item)}
+                              className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              🎨 Variants
+                            </button>
+                            {item.serialized && (
+                              <button
+                                onClick={() => setSerialItem(item)}
+                                className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                              >
+                                🔢 Serials
+                              </button>
+                            )}
                             <button
                               onClick={() => handleDelete(item._id)}
                               className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
@@ -493,7 +850,7 @@ const AdminDashboard = () => {
                 ))
               ) : (
                 <tr>
-                  <td colSpan="6" className="p-3 text-center text-gray-400">
+                  <td colSpan="7" className="p-3 text-center text-gray-400">
                     No items found
                   </td>
                 </tr>
@@ -523,6 +880,59 @@ const AdminDashboard = () => {
           </button>
         </div>
       </div>
+      {can("reports:view") && (
+        <StockTrends
+          token={token}
+          categories={categories}
+          item={trendItem}
+          onClearItem={() => setTrendItem(null)}
+        />
+      )}
+      <LocationManager
+        token={token}
+        locations={locations}
+        onChange={fetchLocations}
+      />
+      {can("categories:manage") && (
+        <CategoryManager
+          token={token}
+          categories={categories}
+          onChange={fetchCategories}
+        />
+      )}
+      {variantItem && (
+        <VariantManager
+          item={variantItem}
+          token={token}
+          onClose={() => setVariantItem(null)}
+          onChange={fetchItems}
+        />
+      )}
+      {serialItem && (
+        <SerialManager
+          item={serialItem}
+          token={token}
+          locations={locations}
+          onClose={() => setSerialItem(null)}
+          onChange={() => {
+            fetchItems();
+            fetchLocations();
+          }}
+          onTrace={setTracedSerial}
+        />
+      )}
+      {historyItem && (
+        <MovementHistory
+          item={historyItem}
+          token={token}
+          locations={locations}
+          onClose={() => setHistoryItem(null)}
+          onStockChange={() => {
+            fetchItems();
+            fetchLocations();
+          }}
+        />
+      )}
       <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
         {" "}
         <h3 className="text-2xl font-semibold mb-4 text-white">Add New Item</h3>
@@ -539,23 +949,45 @@ const AdminDashboard = () => {
             onChange={handleChange}
             required
           />
-          <input
-            type="text"
+          <select
             name="category"
-            placeholder="Category"
-            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
             value={formData.category}
             onChange={handleChange}
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
             required
+          >
+            <option value="">Select category</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.path}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            name="sku"
+            placeholder="SKU"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.sku}
+            onChange={handleChange}
+          />
+          <input
+            type="text"
+            name="barcode"
+            placeholder="Barcode (EAN/UPC)"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.barcode}
+            onChange={handleChange}
           />
           <input
             type="number"
             name="quantity"
             placeholder="Quantity"
             className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
-            value={formData.quantity}
+            value={formData.serialized ? "" : formData.quantity}
             onChange={handleChange}
-            required
+            disabled={formData.serialized}
+            required={!formData.serialized}
           />
           <input
             type="number"
@@ -566,6 +998,35 @@ const AdminDashboard = () => {
             onChange={handleChange}
             required
           />
+          <input
+            type="number"
+            name="reorderLevel"
+            placeholder="Reorder level"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.reorderLevel}
+            onChange={handleChange}
+          />
+          <input
+            type="number"
+            name="reorderQuantity"
+            placeholder="Reorder quantity"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.reorderQuantity}
+            onChange={handleChange}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={formData.serialized}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  serialized: e.target.checked,
+                }))
+              }
+            />
+            Serialized
+          </label>
           <button
             type="submit"
             className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
@@ -574,6 +1035,16 @@ const AdminDashboard = () => {
           </button>
         </form>
       </div>
+      <ImportItems
+        token={token}
+        onImported={() => {
+          fetchItems();
+          fetchCategories();
+        }}
+      />
+      {can("items:delete") && (
+        <TrashBin token={token} refreshKey={items} onChange={fetchItems} />
+      )}
       <div className="mt-8 text-center max-w-md mx-auto">
         <button
           onClick={handleGoBack}
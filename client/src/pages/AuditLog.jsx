@@ -0,0 +1,217 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    action: "",
+    targetType: "",
+    from: "",
+    to: "",
+  });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    if (!user || !can("audit:view")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchLogs = async () => {
+    const queryParams = new URLSearchParams({
+      ...filters,
+      page,
+      limit: 20,
+    }).toString();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/audit?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setLogs(data.logs || []);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLogs();
+  }, [token, page]);
+
+  const handleFilterChange = (e) => {
+    setFilters((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+    setPage(1);
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Audit Log</h2>
+        <p className="text-lg text-gray-300">Who changed what, and when</p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3 sm:gap-4 mb-4">
+          <input
+            type="text"
+            name="action"
+            placeholder="Action, e.g. item.delete"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.action}
+            onChange={handleFilterChange}
+          />
+          <select
+            name="targetType"
+            value={filters.targetType}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All targets</option>
+            <option value="Inventory">Items</option>
+            <option value="User">Users</option>
+          </select>
+          <input
+            type="date"
+            name="from"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.from}
+            onChange={handleFilterChange}
+          />
+          <input
+            type="date"
+            name="to"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.to}
+            onChange={handleFilterChange}
+          />
+        </div>
+        <div className="flex justify-center">
+          <button
+            onClick={() => fetchLogs()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Apply Filters
+          </button>
+        </div>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <table className="w-full text-left table-auto border-collapse min-w-[600px] text-sm">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="p-3 border-b border-gray-600">When</th>
+              <th className="p-3 border-b border-gray-600">Who</th>
+              <th className="p-3 border-b border-gray-600">Action</th>
+              <th className="p-3 border-b border-gray-600">Target</th>
+              <th className="p-3 border-b border-gray-600">Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="p-3 text-center text-gray-400">
+                  Loading...
+                </td>
+              </tr>
+            ) : logs.length > 0 ? (
+              logs.map((log) => (
+                <tr
+                  key={log._id}
+                  className="border-b border-gray-700 hover:bg-gray-700 align-top"
+                >
+                  <td className="p-3 whitespace-nowrap">
+                    {new Date(log.createdAt).toLocaleString()}
+                  </td>
+                  <td className="p-3">{log.actor?.name || "System"}</td>
+                  <td className="p-3">{log.action}</td>
+                  <td className="p-3">
+                    {log.targetLabel}
+                    <span className="text-gray-400"> ({log.targetType})</span>
+                  </td>
+                  <td className="p-3">
+                    <ul>
+                      {log.changes.map((change) => (
+                        <li key={change.field}>
+                          <span className="text-gray-400">{change.field}:</span>{" "}
+                          <span className="text-red-400">
+                            {formatValue(change.before)}
+                          </span>{" "}
+                          →{" "}
+                          <span className="text-green-400">
+                            {formatValue(change.after)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="p-3 text-center text-gray-400">
+                  No audit entries found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="mt-6 flex flex-col sm:flex-row justify-center items-center space-y-3 sm:space-y-0 sm:space-x-4">
+          <button
+            onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+            disabled={page === 1}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            ⬅️ Prev
+          </button>
+          <span className="text-lg text-gray-300">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => Math.min(prev + 1, totalPages))}
+            disabled={page === totalPages}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            Next ➡️
+          </button>
+        </div>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
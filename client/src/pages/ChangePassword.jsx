@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { toast } from "react-toastify";
+
+const emptyForm = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+const ChangePassword = () => {
+  const { token } = useAuth();
+
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState("");
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/change-password`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            currentPassword: formData.currentPassword,
+            newPassword: formData.newPassword,
+          }),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Password change failed");
+
+      toast.success(data.message);
+      setFormData(emptyForm);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "40px auto" }} className="p-4">
+      <h2 className="text-center text-3xl font-bold mb-8 text-white">
+        Change Password
+      </h2>
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col items-center space-y-6"
+      >
+        <input
+          type="password"
+          name="currentPassword"
+          placeholder="Current Password"
+          className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          required
+        />
+
+        <input
+          type="password"
+          name="newPassword"
+          placeholder="New Password"
+          minLength={8}
+          className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+          value={formData.newPassword}
+          onChange={handleChange}
+          required
+        />
+
+        <input
+          type="password"
+          name="confirmPassword"
+          placeholder="Confirm New Password"
+          className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          required
+        />
+
+        <button
+          type="submit"
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-4"
+        >
+          Change Password
+        </button>
+        {error && <p className="text-red-500 mt-2">{error}</p>}
+      </form>
+      <button
+        onClick={handleGoBack}
+        className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-4"
+      >
+        Go Back
+      </button>
+    </div>
+  );
+};
+
+export default ChangePassword;
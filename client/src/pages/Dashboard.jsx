@@ -1,12 +1,14 @@
-import { useState } from "react";
 import { useAuth } from "../context/AuthContext";
 import { useNavigate } from "react-router-dom";
 
 const Dashboard = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const navigate = useNavigate();
 
-  const admin = user.role === "admin" ? true : false;
+  const admin = can("items:update");
+  const manageUsers = can("users:manage");
+  const manageRoles = can("roles:manage");
+  const viewReports = can("reports:view");
 
   const handleLogout = () => {
     logout();
@@ -29,6 +31,22 @@ const Dashboard = () => {
         <h2 className="text-3xl font-bold mb-4">Welcome, {user?.name} 👋</h2>
         <p className="text-lg text-gray-300 mb-6">Role: {user?.role}</p>
 
+        <button
+          onClick={() => navigate("/inventory")}
+          className="w-full mb-4 bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Browse Inventory
+        </button>
+
+        {can("stocktakes:count") && (
+          <button
+            onClick={() => navigate("/admin/stocktakes")}
+            className="w-full mb-4 bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+          >
+            Stocktakes
+          </button>
+        )}
+
         <button
           onClick={handleLogout}
           className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
@@ -36,21 +54,71 @@ const Dashboard = () => {
           Logout
         </button>
 
-        {admin && (
+        <button
+          onClick={() => navigate("/change-password")}
+          className="w-full mt-4 bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Change Password
+        </button>
+
+        <button
+          onClick={() => navigate("/two-factor")}
+          className="w-full mt-4 bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Two-Factor Authentication {user?.twoFactorEnabled ? "✅" : ""}
+        </button>
+
+        {(admin || manageUsers || manageRoles || viewReports) && (
           <div className="mt-6 space-y-4">
             {" "}
-            <button
-              onClick={handleAdmin}
-              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
-            >
-              Admin Dashboard
-            </button>
-            <button
-              onClick={handleRegister}
-              className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
-            >
-              Register New User
-            </button>
+            {admin && (
+              <button
+                onClick={handleAdmin}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Admin Dashboard
+              </button>
+            )}
+            {viewReports && (
+              <button
+                onClick={() => navigate("/admin/reports")}
+                className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Reports
+              </button>
+            )}
+            {manageUsers && (
+              <button
+                onClick={() => navigate("/admin/users")}
+                className="w-full bg-teal-600 hover:bg-teal-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Manage Users
+              </button>
+            )}
+            {manageUsers && (
+              <button
+                onClick={handleRegister}
+                className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Register New User
+              </button>
+            )}
+            {manageUsers && (
+              <button
+                onClick={() => navigate("/admin/sessions")}
+                className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Active Sessions
+              </button>
+            )}
+            {manageRoles && (
+              <button
+                onClick={() => navigate("/admin/roles")}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+              >
+                Manage Roles
+              </button>
+            )}
           </div>
         )}
       </div>
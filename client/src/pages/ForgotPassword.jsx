@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/forgot-password`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ email }),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      setMessage(data.message);
+      setEmail("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "50px auto" }} className="p-4">
+      <h2 className="text-center text-3xl font-bold mb-8 text-white">
+        Forgot Password
+      </h2>
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-col items-center space-y-6"
+      >
+        <fieldset className="w-full">
+          <legend className="fieldset-legend text-lg text-gray-300 mb-2">
+            Enter your email and we'll send you a reset link
+          </legend>
+          <input
+            type="email"
+            className="input w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+            name="email"
+            placeholder="Email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+        </fieldset>
+
+        <button
+          type="submit"
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-4"
+        >
+          Send Reset Link
+        </button>
+        {message && <p className="text-green-500 mt-2">{message}</p>}
+        {error && <p className="text-red-500 mt-2">{error}</p>}
+        <Link to="/login" className="text-blue-400 hover:underline text-sm">
+          Back to login
+        </Link>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPassword;
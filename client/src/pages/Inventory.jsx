@@ -0,0 +1,455 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { toast } from "react-toastify";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-600",
+  approved: "bg-green-600",
+  rejected: "bg-red-600",
+  cancelled: "bg-gray-600",
+};
+
+const emptyRequest = { variant: "", quantity: "", reason: "" };
+
+// read-only inventory browser for every logged in user, stock is asked for
+// through requests that a reviewer approves
+const Inventory = () => {
+  const { token } = useAuth();
+
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [requestingId, setRequestingId] = useState(null);
+  const [requestForm, setRequestForm] = useState(emptyRequest);
+
+  const [filters, setFilters] = useState({
+    search: "",
+    category: "",
+    minPrice: "",
+    maxPrice: "",
+    sort: "name",
+    order: "asc",
+  });
+
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchItems = async () => {
+    const queryParams = new URLSearchParams({
+      ...filters,
+      page,
+      limit: 10,
+    }).toString();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/items?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setItems(data.items || []);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchItems();
+  }, [token, page]);
+
+  const fetchRequests = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/stock-requests/mine?limit=20`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setRequests(data.requests || []);
+    } catch (err) {
+      console.error(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, [token]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_API_BASE_URL}/categories`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }
+        );
+
+        const data = await res.json();
+        setCategories(data.categories || []);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchCategories();
+  }, [token]);
+
+  const handleFilterChange = (e) => {
+    setFilters((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+    setPage(1);
+  };
+
+  const handleRequestChange = (e) => {
+    setRequestForm((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const startRequest = (item) => {
+    setRequestingId(item._id);
+    setRequestForm(emptyRequest);
+  };
+
+  const sendRequest = async (path, body, successMessage) => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/stock-requests${path}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(body),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchRequests();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleRequestSubmit = async (e, item) => {
+    e.preventDefault();
+
+    const sent = await sendRequest(
+      "",
+      {
+        item: item._id,
+        variant: requestForm.variant || null,
+        quantity: Number(requestForm.quantity),
+        reason: requestForm.reason,
+      },
+      "Stock request submitted"
+    );
+
+    if (sent) setRequestingId(null);
+  };
+
+  const handleCancelRequest = (id) => {
+    if (!window.confirm("Withdraw this stock request?")) return;
+    sendRequest(`/${id}/cancel`, {}, "Stock request cancelled");
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Inventory</h2>
+        <p className="text-lg text-gray-300">
+          Find what's in stock and request what you need
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3 sm:gap-4 mb-4">
+          <input
+            type="text"
+            name="search"
+            placeholder="Search name, SKU or barcode..."
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.search}
+            onChange={handleFilterChange}
+          />
+          <select
+            name="category"
+            value={filters.category}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All Categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.path}
+              </option>
+            ))}
+          </select>
+          <select
+            name="sort"
+            value={filters.sort}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="name">Name</option>
+            <option value="price">Price</option>
+            <option value="quantity">Quantity</option>
+          </select>
+          <input
+            type="number"
+            name="minPrice"
+            placeholder="Min Price"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.minPrice}
+            onChange={handleFilterChange}
+          />
+          <input
+            type="number"
+            name="maxPrice"
+            placeholder="Max Price"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.maxPrice}
+            onChange={handleFilterChange}
+          />
+          <select
+            name="order"
+            value={filters.order}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="asc">Ascending</option>
+            <option value="desc">Descending</option>
+          </select>
+        </div>
+        <div className="flex justify-center mb-4">
+          <button
+            onClick={() => fetchItems()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Apply Filters
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-center text-gray-400">Loading...</p>
+        ) : (
+          <table className="w-full text-left table-auto border-collapse min-w-[600px]">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="p-3 border-b border-gray-600">Name</th>
+                <th className="p-3 border-b border-gray-600">Category</th>
+                <th className="p-3 border-b border-gray-600">Available</th>
+                <th className="p-3 border-b border-gray-600">Price</th>
+                <th className="p-3 border-b border-gray-600">Request</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length > 0 ? (
+                items.map((item) => (
+                  <tr
+                    key={item._id}
+                    className="border-b border-gray-700 hover:bg-gray-700 align-top"
+                  >
+                    <td className="p-3">
+                      {item.name}
+                      {item.sku && (
+                        <div className="text-xs text-gray-400">
+                          SKU {item.sku}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-3">{item.category?.name}</td>
+                    <td className="p-3">
+                      {item.available}
+                      {item.variants?.length > 0 && (
+                        <ul className="text-xs text-gray-400">
+                          {item.variants.map((variant) => (
+                            <li key={variant._id}>
+                              {variant.name}: {variant.quantity}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    <td className="p-3">₹{item.price}</td>
+                    <td className="p-3">
+                      {requestingId === item._id ? (
+                        <form
+                          onSubmit={(e) => handleRequestSubmit(e, item)}
+                          className="flex flex-col gap-2"
+                        >
+                          {item.variants?.length > 0 && (
+                            <select
+                              name="variant"
+                              value={requestForm.variant}
+                              onChange={handleRequestChange}
+                              className="p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            >
+                              <option value="">Any variant</option>
+                              {item.variants.map((variant) => (
+                                <option key={variant._id} value={variant._id}>
+                                  {variant.name}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <input
+                            type="number"
+                            name="quantity"
+                            placeholder="Qty"
+                            min="1"
+                            value={requestForm.quantity}
+                            onChange={handleRequestChange}
+                            required
+                            className="w-24 p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                          />
+                          <input
+                            type="text"
+                            name="reason"
+                            placeholder="What is it for?"
+                            value={requestForm.reason}
+                            onChange={handleRequestChange}
+                            className="p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                          />
+                          <div className="flex gap-2">
+                            <button
+                              type="submit"
+                              className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              📨 Send
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setRequestingId(null)}
+                              className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              ❌
+                            </button>
+                          </div>
+                        </form>
+                      ) : (
+                        <button
+                          onClick={() => startRequest(item)}
+                          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                        >
+                          🙋 Request
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="5" className="p-3 text-center text-gray-400">
+                    No items found
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        )}
+
+        <div className="mt-6 flex flex-col sm:flex-row justify-center items-center space-y-3 sm:space-y-0 sm:space-x-4">
+          <button
+            onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+            disabled={page === 1}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            ⬅️ Prev
+          </button>
+          <span className="text-lg text-gray-300">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => Math.min(prev + 1, totalPages))}
+            disabled={page === totalPages}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            Next ➡️
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h3 className="text-2xl font-semibold mb-4 text-white">
+          📨 My Stock Requests
+        </h3>
+        <ul className="divide-y divide-gray-700">
+          {requests.length > 0 ? (
+            requests.map((request) => (
+              <li
+                key={request._id}
+                className="py-2 flex flex-wrap justify-between items-center gap-2 text-sm"
+              >
+                <div>
+                  {request.quantity} × {request.item?.name}
+                  {request.variant && ` · ${request.variant.name}`}
+                  <span
+                    className={`ml-2 px-2 py-1 rounded text-xs ${
+                      STATUS_STYLES[request.status]
+                    }`}
+                  >
+                    {request.status}
+                  </span>
+                  <div className="text-xs text-gray-400">
+                    {new Date(request.createdAt).toLocaleString()}
+                    {request.reviewNote && ` · ${request.reviewNote}`}
+                  </div>
+                </div>
+                {request.status === "pending" && (
+                  <button
+                    onClick={() => handleCancelRequest(request._id)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    ↩️ Withdraw
+                  </button>
+                )}
+              </li>
+            ))
+          ) : (
+            <li className="py-2 text-gray-400">No requests yet</li>
+          )}
+        </ul>
+      </div>
+
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Inventory;
@@ -1,6 +1,8 @@
 import { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import TwoFactorEnrollment from "../components/TwoFactorEnrollment";
+import RecoveryCodes from "../components/RecoveryCodes";
 
 const Login = () => {
   const { login } = useAuth();
@@ -12,37 +14,192 @@ const Login = () => {
   });
   const [error, setError] = useState("");
 
+  // "password", then "verify" or "setup" when two-factor is on
+  const [step, setStep] = useState("password");
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingLogin, setPendingLogin] = useState(null);
+
   const handleChange = (e) => {
     setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   };
 
+  const postAuth = async (path, body) => {
+    const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new Error(data.message || "Login Failed");
+    }
+    return data;
+  };
+
+  const finishLogin = (data) => {
+    login(data.user, data.token, data.refreshToken);
+    navigate("/dashboard ");
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
 
     try {
-      const res = await fetch(
-        `${import.meta.env.VITE_API_BASE_URL}/auth/login`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(formData),
-        }
-      );
-
-      const data = await res.json();
+      const data = await postAuth("/auth/login", formData);
 
-      if (!res.ok) {
-        throw new Error(data.message || "Login Failed");
+      setChallengeToken(data.challengeToken);
+      if (data.twoFactorRequired) {
+        setStep("verify");
+      } else if (data.twoFactorSetupRequired) {
+        setEnrollment(
+          await postAuth("/auth/2fa/setup", {
+            challengeToken: data.challengeToken,
+          })
+        );
+        setStep("setup");
+      } else {
+        finishLogin(data);
       }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      finishLogin(
+        await postAuth("/auth/2fa/verify", {
+          challengeToken,
+          ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-      login(data.user, data.token);
-      navigate("/dashboard ");
+  const handleConfirmSetup = async (setupCode) => {
+    setError("");
+
+    try {
+      // the codes are shown before signing in, they can't be fetched later
+      setPendingLogin(
+        await postAuth("/auth/2fa/setup/confirm", {
+          challengeToken,
+          code: setupCode,
+        })
+      );
+      setStep("recovery-codes");
     } catch (err) {
       setError(err.message);
     }
   };
 
+  const startOver = () => {
+    setStep("password");
+    setCode("");
+    setError("");
+    setUseRecoveryCode(false);
+    setFormData((prev) => ({ ...prev, password: "" }));
+  };
+
+  if (step === "verify") {
+    return (
+      <div style={{ maxWidth: "400px", margin: "50px auto" }} className="p-4">
+        <h2 className="text-center text-3xl font-bold mb-8 text-white">
+          Verify It's You
+        </h2>
+
+        <form
+          onSubmit={handleVerify}
+          className="flex flex-col items-center space-y-6"
+        >
+          <fieldset className="w-full">
+            <legend className="fieldset-legend text-lg text-gray-300 mb-2">
+              {useRecoveryCode
+                ? "Enter one of your recovery codes"
+                : "Enter the code from your authenticator app"}
+            </legend>
+            <input
+              type="text"
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              className="input w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-center tracking-widest"
+              placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </fieldset>
+
+          <button
+            type="submit"
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-4"
+          >
+            Verify
+          </button>
+          {error && <p className="text-red-500 mt-2">{error}</p>}
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode((prev) => !prev);
+              setCode("");
+            }}
+            className="text-blue-400 hover:underline text-sm"
+          >
+            {useRecoveryCode
+              ? "Use your authenticator app instead"
+              : "Lost your device? Use a recovery code"}
+          </button>
+          <button
+            type="button"
+            onClick={startOver}
+            className="text-gray-400 hover:underline text-sm"
+          >
+            Back to login
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (step === "setup" || step === "recovery-codes") {
+    return (
+      <div style={{ maxWidth: "400px", margin: "50px auto" }} className="p-4">
+        <h2 className="text-center text-3xl font-bold mb-4 text-white">
+          Set Up Two-Factor
+        </h2>
+        {step === "setup" ? (
+          <>
+            <p className="text-center text-gray-400 mb-6">
+              Your role requires two-factor authentication before you can sign
+              in.
+            </p>
+            <TwoFactorEnrollment
+              enrollment={enrollment}
+              onConfirm={handleConfirmSetup}
+            />
+            {error && <p className="text-red-500 mt-4 text-center">{error}</p>}
+          </>
+        ) : (
+          <RecoveryCodes
+            codes={pendingLogin.recoveryCodes}
+            onDone={() => finishLogin(pendingLogin)}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div style={{ maxWidth: "400px", margin: "50px auto" }} className="p-4">
       <h2 className="text-center text-3xl font-bold mb-8 text-white">Login</h2>
@@ -88,6 +245,12 @@ const Login = () => {
           Login
         </button>
         {error && <p className="text-red-500 mt-2">{error}</p>}
+        <Link
+          to="/forgot-password"
+          className="text-blue-400 hover:underline text-sm"
+        >
+          Forgot your password?
+        </Link>
       </form>
     </div>
   );
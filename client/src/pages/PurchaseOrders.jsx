@@ -0,0 +1,550 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const STATUS_STYLES = {
+  draft: "bg-gray-600",
+  sent: "bg-blue-600",
+  partially_received: "bg-yellow-600",
+  received: "bg-green-600",
+};
+
+const emptyLine = { item: "", quantity: "", unitCost: "" };
+
+const PurchaseOrders = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [suppliers, setSuppliers] = useState([]);
+  const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [formData, setFormData] = useState({
+    supplier: "",
+    expectedDate: "",
+    notes: "",
+    lines: [emptyLine],
+  });
+  const [receivingId, setReceivingId] = useState(null);
+  const [receiveForm, setReceiveForm] = useState({
+    location: "",
+    lines: {},
+    lots: {},
+    serials: {},
+  });
+
+  useEffect(() => {
+    if (!user || !can("purchase-orders:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const apiGet = async (path) => {
+    const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  };
+
+  const fetchOrders = async () => {
+    try {
+      const query = new URLSearchParams({ status: statusFilter, limit: 50 });
+      const data = await apiGet(`/purchase-orders?${query}`);
+      setOrders(data.orders);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrders();
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [supplierData, itemData, locationData] = await Promise.all([
+          apiGet("/suppliers"),
+          apiGet("/items?limit=1000&sort=name&order=asc"),
+          apiGet("/locations"),
+        ]);
+        setSuppliers(supplierData.suppliers);
+        setItems(itemData.items);
+        setLocations(locationData.locations);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchOptions();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleLineChange = (index, e) => {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) =>
+        i === index ? { ...line, [e.target.name]: e.target.value } : line
+      ),
+    }));
+  };
+
+  const addLine = () => {
+    setFormData((prev) => ({ ...prev, lines: [...prev.lines, emptyLine] }));
+  };
+
+  const removeLine = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.filter((_, i) => i !== index),
+    }));
+  };
+
+  const postAction = async (path, body, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchOrders();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const created = await postAction(
+      "/purchase-orders",
+      {
+        ...formData,
+        expectedDate: formData.expectedDate || undefined,
+      },
+      "Purchase order created"
+    );
+
+    if (created) {
+      setFormData({
+        supplier: "",
+        expectedDate: "",
+        notes: "",
+        lines: [emptyLine],
+      });
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this draft?")) return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/purchase-orders/${id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Delete failed");
+
+      toast.success("Purchase order deleted");
+      fetchOrders();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const startReceiving = (order) => {
+    setReceivingId(order._id);
+    setReceiveForm({
+      location: "",
+      lots: {},
+      serials: {},
+      lines: Object.fromEntries(
+        order.lines.map((line) => [
+          line._id,
+          line.quantity - line.receivedQuantity,
+        ])
+      ),
+    });
+  };
+
+  const handleReceive = async (order) => {
+    const received = await postAction(
+      `/purchase-orders/${order._id}/receive`,
+      {
+        location: receiveForm.location || null,
+        lines: Object.entries(receiveForm.lines).map(([lineId, quantity]) => ({
+          lineId,
+          quantity: Number(quantity),
+          lotNumber: receiveForm.lots[lineId]?.lotNumber || undefined,
+          expiryDate: receiveForm.lots[lineId]?.expiryDate || undefined,
+          serialNumbers: receiveForm.serials[lineId]
+            ?.split(/[\s,]+/)
+            .filter(Boolean),
+        })),
+      },
+      "Stock received"
+    );
+
+    if (received) setReceivingId(null);
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Purchase Orders</h2>
+        <p className="text-lg text-gray-300">
+          Create, send and receive supplier orders
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <h3 className="text-2xl font-semibold text-white">All Orders</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            <option value="draft">Draft</option>
+            <option value="sent">Sent</option>
+            <option value="partially_received">Partially received</option>
+            <option value="received">Received</option>
+          </select>
+        </div>
+        {loading ? (
+          <p className="text-gray-400">Loading...</p>
+        ) : orders.length > 0 ? (
+          orders.map((order) => (
+            <div
+              key={order._id}
+              className="border border-gray-700 rounded p-4 mb-4"
+            >
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <div>
+                  <span className="font-bold">{order.orderNumber}</span>
+                  <span className="text-gray-400">
+                    {" "}
+                    · {order.supplier?.name}
+                  </span>
+                  <span
+                    className={`ml-2 px-2 py-1 rounded text-xs ${
+                      STATUS_STYLES[order.status]
+                    }`}
+                  >
+                    {order.status.replace("_", " ")}
+                  </span>
+                </div>
+                <span className="text-gray-300">₹{order.total}</span>
+              </div>
+              <table className="w-full text-left table-auto border-collapse text-sm mb-3">
+                <thead>
+                  <tr className="bg-gray-700">
+                    <th className="p-2">Item</th>
+                    <th className="p-2">Ordered</th>
+                    <th className="p-2">Received</th>
+                    <th className="p-2">Unit Cost</th>
+                    {receivingId === order._id && (
+                      <>
+                        <th className="p-2">Receive Now</th>
+                        <th className="p-2">Lot / Expiry / Serials</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {order.lines.map((line) => (
+                    <tr key={line._id} className="border-b border-gray-700">
+                      <td className="p-2">{line.item?.name}</td>
+                      <td className="p-2">{line.quantity}</td>
+                      <td className="p-2">{line.receivedQuantity}</td>
+                      <td className="p-2">₹{line.unitCost}</td>
+                      {receivingId === order._id && (
+                        <td className="p-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={line.quantity - line.receivedQuantity}
+                            value={receiveForm.lines[line._id] ?? 0}
+                            onChange={(e) =>
+                              setReceiveForm((prev) => ({
+                                ...prev,
+                                lines: {
+                                  ...prev.lines,
+                                  [line._id]: e.target.value,
+                                },
+                              }))
+                            }
+                            className="w-24 p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                          />
+                        </td>
+                      )}
+                      {receivingId === order._id && line.item?.serialized && (
+                        <td className="p-2">
+                          <input
+                            type="text"
+                            placeholder="Serial numbers, comma separated"
+                            value={receiveForm.serials[line._id] ?? ""}
+                            onChange={(e) =>
+                              setReceiveForm((prev) => ({
+                                ...prev,
+                                serials: {
+                                  ...prev.serials,
+                                  [line._id]: e.target.value,
+                                },
+                              }))
+                            }
+                            className="w-56 p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                          />
+                        </td>
+                      )}
+                      {receivingId === order._id && !line.item?.serialized && (
+                        <td className="p-2 flex gap-1">
+                          {["lotNumber", "expiryDate"].map((field) => (
+                            <input
+                              key={field}
+                              type={field === "expiryDate" ? "date" : "text"}
+                              placeholder="Lot"
+                              value={receiveForm.lots[line._id]?.[field] ?? ""}
+                              onChange={(e) =>
+                                setReceiveForm((prev) => ({
+                                  ...prev,
+                                  lots: {
+                                    ...prev.lots,
+                                    [line._id]: {
+                                      ...prev.lots[line._id],
+                                      [field]: e.target.value,
+                                    },
+                                  },
+                                }))
+                              }
+                              className="w-28 p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                            />
+                          ))}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex gap-2 flex-wrap">
+                {order.status === "draft" && (
+                  <>
+                    <button
+                      onClick={() =>
+                        postAction(
+                          `/purchase-orders/${order._id}/send`,
+                          {},
+                          "Purchase order sent"
+                        )
+                      }
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      📤 Mark Sent
+                    </button>
+                    <button
+                      onClick={() => handleDelete(order._id)}
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </>
+                )}
+                {["sent", "partially_received"].includes(order.status) &&
+                  (receivingId === order._id ? (
+                    <>
+                      <select
+                        value={receiveForm.location}
+                        onChange={(e) =>
+                          setReceiveForm((prev) => ({
+                            ...prev,
+                            location: e.target.value,
+                          }))
+                        }
+                        className="px-3 py-1 rounded bg-gray-700 border border-gray-600 text-white text-sm"
+                      >
+                        <option value="">Unassigned</option>
+                        {locations.map((location) => (
+                          <option key={location._id} value={location._id}>
+                            {location.name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleReceive(order)}
+                        className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        💾 Confirm Receipt
+                      </button>
+                      <button
+                        onClick={() => setReceivingId(null)}
+                        className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        ❌ Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => startReceiving(order)}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      📥 Receive
+                    </button>
+                  ))}
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-center text-gray-400">No purchase orders found</p>
+        )}
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h3 className="text-2xl font-semibold mb-4 text-white">
+          New Purchase Order
+        </h3>
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3 sm:gap-4">
+          <div className="flex flex-col md:flex-row gap-3 sm:gap-4">
+            <select
+              name="supplier"
+              value={formData.supplier}
+              onChange={handleChange}
+              required
+              className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">Select supplier</option>
+              {suppliers.map((supplier) => (
+                <option key={supplier._id} value={supplier._id}>
+                  {supplier.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="date"
+              name="expectedDate"
+              value={formData.expectedDate}
+              onChange={handleChange}
+              className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            />
+          </div>
+          {formData.lines.map((line, index) => (
+            <div
+              key={index}
+              className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+            >
+              <select
+                name="item"
+                value={line.item}
+                onChange={(e) => handleLineChange(index, e)}
+                required
+                className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              >
+                <option value="">Select item</option>
+                {items.map((item) => (
+                  <option key={item._id} value={item._id}>
+                    {item.name} ({item.category?.name})
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                name="quantity"
+                placeholder="Quantity"
+                min="1"
+                value={line.quantity}
+                onChange={(e) => handleLineChange(index, e)}
+                required
+                className="w-full md:w-32 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              />
+              <input
+                type="number"
+                name="unitCost"
+                placeholder="Unit cost"
+                min="0"
+                value={line.unitCost}
+                onChange={(e) => handleLineChange(index, e)}
+                required
+                className="w-full md:w-32 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              />
+              {formData.lines.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeLine(index)}
+                  className="px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ✖
+                </button>
+              )}
+            </div>
+          ))}
+          <textarea
+            name="notes"
+            placeholder="Notes"
+            value={formData.notes}
+            onChange={handleChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          />
+          <div className="flex flex-col md:flex-row gap-3 sm:gap-4">
+            <button
+              type="button"
+              onClick={addLine}
+              className="w-full md:w-auto px-5 py-2 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              ➕ Add Line
+            </button>
+            <button
+              type="submit"
+              className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              Save Draft
+            </button>
+          </div>
+        </form>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
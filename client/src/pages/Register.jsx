@@ -1,9 +1,9 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useAuth } from "../context/AuthContext";
 import { useNavigate } from "react-router-dom";
 
 const Register = () => {
-  const { user, token } = useAuth();
+  const { user, token, can } = useAuth();
   const navigate = useNavigate();
 
   const [formData, setFormData] = useState({
@@ -15,6 +15,26 @@ const Register = () => {
 
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
+  const [roles, setRoles] = useState([]);
+
+  useEffect(() => {
+    const fetchRoles = async () => {
+      try {
+        const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}/roles`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const data = await res.json();
+        setRoles(data.roles || []);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchRoles();
+  }, [token]);
 
   const handleChange = (e) => {
     setFormData((prev) => ({
@@ -55,7 +75,7 @@ const Register = () => {
     window.history.back();
   };
 
-  if (user.role !== "admin") {
+  if (!can("users:manage")) {
     navigate("/dashboard");
   }
   if (!user) {
@@ -108,8 +128,11 @@ const Register = () => {
           onChange={handleChange}
           className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
         >
-          <option value="staff">Staff</option>
-          <option value="admin">Admin</option>
+          {roles.map((role) => (
+            <option key={role._id} value={role.name}>
+              {role.name}
+            </option>
+          ))}
         </select>
 
         <button
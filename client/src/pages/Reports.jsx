@@ -0,0 +1,279 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+
+const COLORS = [
+  "#3b82f6",
+  "#10b981",
+  "#f59e0b",
+  "#ef4444",
+  "#8b5cf6",
+  "#14b8a6",
+  "#ec4899",
+  "#6366f1",
+];
+
+const TOOLTIP_STYLE = {
+  contentStyle: { backgroundColor: "#1f2937", border: "1px solid #4b5563" },
+  labelStyle: { color: "#fff" },
+};
+
+const formatMoney = (value) => `₹${Number(value || 0).toLocaleString("en-IN")}`;
+
+const Reports = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({ category: "", limit: 5 });
+
+  useEffect(() => {
+    if (!user || !can("reports:view")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchSummary = async () => {
+    const queryParams = new URLSearchParams(filters).toString();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/reports/summary?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load report");
+
+      setSummary(data);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSummary();
+  }, [token]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_API_BASE_URL}/categories`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }
+        );
+
+        const data = await res.json();
+        setCategories(data.categories || []);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchCategories();
+  }, [token]);
+
+  const handleFilterChange = (e) => {
+    setFilters((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  const categoryData = (summary?.byCategory || []).map((group) => ({
+    name: group.category.path,
+    value: group.value,
+    units: group.units,
+  }));
+
+  const creatorData = (summary?.byCreator || []).map((group) => ({
+    name: group.user.name,
+    value: group.value,
+  }));
+
+  const renderItems = (title, items) => (
+    <div className="bg-gray-800 p-5 rounded-lg shadow-lg overflow-x-auto">
+      <h3 className="text-xl font-semibold mb-4 text-white">{title}</h3>
+      <table className="w-full text-left table-auto border-collapse text-sm">
+        <thead>
+          <tr className="bg-gray-700">
+            <th className="p-2 border-b border-gray-600">Item</th>
+            <th className="p-2 border-b border-gray-600">Qty</th>
+            <th className="p-2 border-b border-gray-600">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.length > 0 ? (
+            items.map((item) => (
+              <tr key={item._id} className="border-b border-gray-700">
+                <td className="p-2">
+                  {item.name}
+                  <div className="text-xs text-gray-400">
+                    {item.category.path}
+                  </div>
+                </td>
+                <td className="p-2">{item.quantity}</td>
+                <td className="p-2">{formatMoney(item.value)}</td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="3" className="p-2 text-center text-gray-400">
+                No items
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Reports</h2>
+        <p className="text-lg text-gray-300">What our stock is worth</p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <div className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center">
+          <select
+            name="category"
+            value={filters.category}
+            onChange={handleFilterChange}
+            className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All Categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.path}
+              </option>
+            ))}
+          </select>
+          <select
+            name="limit"
+            value={filters.limit}
+            onChange={handleFilterChange}
+            className="w-full md:w-auto px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="5">Top / bottom 5</option>
+            <option value="10">Top / bottom 10</option>
+            <option value="20">Top / bottom 20</option>
+          </select>
+          <button
+            onClick={() => fetchSummary()}
+            className="w-full md:w-auto px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Apply Filters
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-center text-gray-400">Loading...</p>
+      ) : !summary ? (
+        <p className="text-center text-red-500">Could not load the report</p>
+      ) : (
+        <div className="max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {[
+              ["Items", summary.totals.items.toLocaleString("en-IN")],
+              ["Units", summary.totals.units.toLocaleString("en-IN")],
+              ["Total Value", formatMoney(summary.totals.value)],
+            ].map(([label, value]) => (
+              <div
+                key={label}
+                className="bg-gray-800 p-5 rounded-lg shadow-lg text-center"
+              >
+                <p className="text-gray-400 text-sm">{label}</p>
+                <p className="text-2xl font-bold">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-gray-800 p-5 rounded-lg shadow-lg">
+            <h3 className="text-xl font-semibold mb-4 text-white">
+              Value by Category
+            </h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={categoryData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="name" stroke="#9ca3af" fontSize={12} />
+                <YAxis stroke="#9ca3af" fontSize={12} />
+                <Tooltip {...TOOLTIP_STYLE} formatter={formatMoney} />
+                <Bar dataKey="value" name="Value" fill="#3b82f6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-gray-800 p-5 rounded-lg shadow-lg">
+            <h3 className="text-xl font-semibold mb-4 text-white">
+              Value by Creator
+            </h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <PieChart>
+                <Pie
+                  data={creatorData}
+                  dataKey="value"
+                  nameKey="name"
+                  outerRadius={100}
+                  label={({ name }) => name}
+                >
+                  {creatorData.map((_, index) => (
+                    <Cell key={index} fill={COLORS[index % COLORS.length]} />
+                  ))}
+                </Pie>
+                <Tooltip {...TOOLTIP_STYLE} formatter={formatMoney} />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderItems("Most Valuable Items", summary.topItems)}
+            {renderItems("Least Valuable Items", summary.bottomItems)}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Reports;
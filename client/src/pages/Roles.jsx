@@ -0,0 +1,249 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const Roles = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ name: "", description: "" });
+
+  useEffect(() => {
+    if (!user || !can("roles:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchRoles = async () => {
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      const [roleRes, permissionRes] = await Promise.all([
+        fetch(`${import.meta.env.VITE_API_BASE_URL}/roles`, { headers }),
+        fetch(`${import.meta.env.VITE_API_BASE_URL}/roles/permissions`, {
+          headers,
+        }),
+      ]);
+
+      const roleData = await roleRes.json();
+      const permissionData = await permissionRes.json();
+      setRoles(roleData.roles || []);
+      setPermissions(permissionData.permissions || []);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, [token]);
+
+  const sendRequest = async (path, method, body, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchRoles();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const togglePermission = (role, permission) => {
+    const granted = role.permissions.includes(permission)
+      ? role.permissions.filter((p) => p !== permission)
+      : [...role.permissions, permission];
+
+    setRoles((prev) =>
+      prev.map((r) => (r._id === role._id ? { ...r, permissions: granted } : r))
+    );
+  };
+
+  const toggleRequireTwoFactor = (role) => {
+    setRoles((prev) =>
+      prev.map((r) =>
+        r._id === role._id ? { ...r, requireTwoFactor: !r.requireTwoFactor } : r
+      )
+    );
+  };
+
+  // the admin role's permissions are fixed, only its 2FA setting can change
+  const handleSave = (role) =>
+    sendRequest(
+      `/roles/${role._id}`,
+      "PUT",
+      {
+        description: role.description,
+        requireTwoFactor: role.requireTwoFactor,
+        ...(role.name !== "admin" && { permissions: role.permissions }),
+      },
+      "Role updated"
+    );
+
+  const handleDelete = (role) => {
+    if (!window.confirm(`Are you sure you want to delete "${role.name}"?`))
+      return;
+    sendRequest(`/roles/${role._id}`, "DELETE", null, "Role deleted");
+  };
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const created = await sendRequest(
+      "/roles",
+      "POST",
+      { ...formData, permissions: [] },
+      "Role created"
+    );
+    if (created) setFormData({ name: "", description: "" });
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Roles & Permissions</h2>
+        <p className="text-lg text-gray-300">
+          Choose what every role is allowed to do
+        </p>
+      </div>
+      {loading ? (
+        <p className="text-center text-gray-400">Loading...</p>
+      ) : (
+        roles.map((role) => (
+          <div
+            key={role._id}
+            className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl"
+          >
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h3 className="text-2xl font-semibold text-white capitalize">
+                {role.name}
+                {role.system && (
+                  <span className="ml-2 px-2 py-1 bg-gray-600 rounded text-xs align-middle normal-case">
+                    built-in
+                  </span>
+                )}
+              </h3>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleSave(role)}
+                  className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  💾 Save
+                </button>
+                {!role.system && (
+                  <button
+                    onClick={() => handleDelete(role)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    🗑️ Delete
+                  </button>
+                )}
+              </div>
+            </div>
+            {role.description && (
+              <p className="text-gray-400 mb-3">{role.description}</p>
+            )}
+            <label className="flex items-center gap-2 text-sm mb-3">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={!!role.requireTwoFactor}
+                onChange={() => toggleRequireTwoFactor(role)}
+              />
+              Require two-factor authentication
+            </label>
+            {role.permissions.includes("*") ? (
+              <p className="text-gray-300">Has every permission</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-2">
+                {permissions.map((permission) => (
+                  <label
+                    key={permission}
+                    className="flex items-center gap-2 text-sm"
+                  >
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-sm"
+                      checked={role.permissions.includes(permission)}
+                      onChange={() => togglePermission(role, permission)}
+                    />
+                    {permission}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h3 className="text-2xl font-semibold mb-4 text-white">New Role</h3>
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+        >
+          <input
+            type="text"
+            name="name"
+            placeholder="Role name, e.g. auditor"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.name}
+            onChange={handleChange}
+            required
+          />
+          <input
+            type="text"
+            name="description"
+            placeholder="Description"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.description}
+            onChange={handleChange}
+          />
+          <button
+            type="submit"
+            className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Add Role
+          </button>
+        </form>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
@@ -0,0 +1,469 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const STATUS_STYLES = {
+  draft: "bg-gray-600",
+  confirmed: "bg-blue-600",
+  picked: "bg-yellow-600",
+  shipped: "bg-green-600",
+  cancelled: "bg-red-600",
+};
+
+const emptyLine = { item: "", quantity: "", unitPrice: "" };
+
+const SalesOrders = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [formData, setFormData] = useState({
+    customer: "",
+    notes: "",
+    lines: [emptyLine],
+  });
+  const [shippingId, setShippingId] = useState(null);
+  const [shipLocation, setShipLocation] = useState("");
+
+  useEffect(() => {
+    if (!user || !can("sales-orders:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const apiGet = async (path) => {
+    const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  };
+
+  const fetchOrders = async () => {
+    try {
+      const query = new URLSearchParams({ status: statusFilter, limit: 50 });
+      const data = await apiGet(`/sales-orders?${query}`);
+      setOrders(data.orders);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrders();
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [itemData, locationData] = await Promise.all([
+          apiGet("/items?limit=1000&sort=name&order=asc"),
+          apiGet("/locations"),
+        ]);
+        setItems(itemData.items);
+        setLocations(locationData.locations);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchOptions();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleLineChange = (index, e) => {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) =>
+        i === index ? { ...line, [e.target.name]: e.target.value } : line
+      ),
+    }));
+  };
+
+  const addLine = () => {
+    setFormData((prev) => ({ ...prev, lines: [...prev.lines, emptyLine] }));
+  };
+
+  const removeLine = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.filter((_, i) => i !== index),
+    }));
+  };
+
+  const postAction = async (path, body, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+      fetchOrders();
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const created = await postAction(
+      "/sales-orders",
+      formData,
+      "Sales order created"
+    );
+
+    if (created) {
+      setFormData({ customer: "", notes: "", lines: [emptyLine] });
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this draft?")) return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/sales-orders/${id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Delete failed");
+
+      toast.success("Sales order deleted");
+      fetchOrders();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleCancel = (order) => {
+    if (!window.confirm(`Cancel ${order.orderNumber}?`)) return;
+    postAction(
+      `/sales-orders/${order._id}/cancel`,
+      {},
+      "Sales order cancelled"
+    );
+  };
+
+  const handleShip = async (order) => {
+    // serialized items ship the units named here
+    const lines = [];
+    for (const line of order.lines.filter((line) => line.item?.serialized)) {
+      const serials = window.prompt(
+        `Serial numbers of the ${line.quantity} × ${line.item.name} shipped`
+      );
+      if (serials === null) return;
+      lines.push({
+        lineId: line._id,
+        serialNumbers: serials.split(/[\s,]+/).filter(Boolean),
+      });
+    }
+
+    const shipped = await postAction(
+      `/sales-orders/${order._id}/ship`,
+      { location: shipLocation || null, lines },
+      "Sales order shipped"
+    );
+
+    if (shipped) setShippingId(null);
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Sales Orders</h2>
+        <p className="text-lg text-gray-300">
+          Reserve, pick and ship customer orders
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <h3 className="text-2xl font-semibold text-white">All Orders</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            <option value="draft">Draft</option>
+            <option value="confirmed">Confirmed</option>
+            <option value="picked">Picked</option>
+            <option value="shipped">Shipped</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+        </div>
+        {loading ? (
+          <p className="text-gray-400">Loading...</p>
+        ) : orders.length > 0 ? (
+          orders.map((order) => (
+            <div
+              key={order._id}
+              className="border border-gray-700 rounded p-4 mb-4"
+            >
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <div>
+                  <span className="font-bold">{order.orderNumber}</span>
+                  <span className="text-gray-400"> · {order.customer}</span>
+                  <span
+                    className={`ml-2 px-2 py-1 rounded text-xs ${
+                      STATUS_STYLES[order.status]
+                    }`}
+                  >
+                    {order.status}
+                  </span>
+                </div>
+                <span className="text-gray-300">₹{order.total}</span>
+              </div>
+              <table className="w-full text-left table-auto border-collapse text-sm mb-3">
+                <thead>
+                  <tr className="bg-gray-700">
+                    <th className="p-2">Item</th>
+                    <th className="p-2">Qty</th>
+                    <th className="p-2">Available</th>
+                    <th className="p-2">Unit Price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {order.lines.map((line) => (
+                    <tr key={line._id} className="border-b border-gray-700">
+                      <td className="p-2">
+                        {line.item?.name}
+                        {line.variant && ` · ${line.variant.name}`}
+                      </td>
+                      <td className="p-2">{line.quantity}</td>
+                      <td className="p-2">
+                        {line.item &&
+                          line.item.quantity - (line.item.reserved || 0)}
+                      </td>
+                      <td className="p-2">₹{line.unitPrice}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex gap-2 flex-wrap">
+                {order.status === "draft" && (
+                  <>
+                    <button
+                      onClick={() =>
+                        postAction(
+                          `/sales-orders/${order._id}/confirm`,
+                          {},
+                          "Sales order confirmed"
+                        )
+                      }
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      ✅ Confirm
+                    </button>
+                    <button
+                      onClick={() => handleDelete(order._id)}
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </>
+                )}
+                {order.status === "confirmed" && (
+                  <button
+                    onClick={() =>
+                      postAction(
+                        `/sales-orders/${order._id}/pick`,
+                        {},
+                        "Sales order picked"
+                      )
+                    }
+                    className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    📦 Mark Picked
+                  </button>
+                )}
+                {order.status === "picked" &&
+                  (shippingId === order._id ? (
+                    <>
+                      <select
+                        value={shipLocation}
+                        onChange={(e) => setShipLocation(e.target.value)}
+                        className="px-3 py-1 rounded bg-gray-700 border border-gray-600 text-white text-sm"
+                      >
+                        <option value="">Unassigned</option>
+                        {locations.map((location) => (
+                          <option key={location._id} value={location._id}>
+                            {location.name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleShip(order)}
+                        className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        💾 Confirm Shipment
+                      </button>
+                      <button
+                        onClick={() => setShippingId(null)}
+                        className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        ✖ Back
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        setShippingId(order._id);
+                        setShipLocation("");
+                      }}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                    >
+                      🚚 Ship
+                    </button>
+                  ))}
+                {["confirmed", "picked"].includes(order.status) && (
+                  <button
+                    onClick={() => handleCancel(order)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                  >
+                    ❌ Cancel Order
+                  </button>
+                )}
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-center text-gray-400">No sales orders found</p>
+        )}
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h3 className="text-2xl font-semibold mb-4 text-white">
+          New Sales Order
+        </h3>
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3 sm:gap-4">
+          <input
+            type="text"
+            name="customer"
+            placeholder="Customer"
+            value={formData.customer}
+            onChange={handleChange}
+            required
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          />
+          {formData.lines.map((line, index) => (
+            <div
+              key={index}
+              className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+            >
+              <select
+                name="item"
+                value={line.item}
+                onChange={(e) => handleLineChange(index, e)}
+                required
+                className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              >
+                <option value="">Select item</option>
+                {items.map((item) => (
+                  <option key={item._id} value={item._id}>
+                    {item.name} ({item.available} available)
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                name="quantity"
+                placeholder="Quantity"
+                min="1"
+                value={line.quantity}
+                onChange={(e) => handleLineChange(index, e)}
+                required
+                className="w-full md:w-32 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              />
+              <input
+                type="number"
+                name="unitPrice"
+                placeholder="Unit price"
+                min="0"
+                value={line.unitPrice}
+                onChange={(e) => handleLineChange(index, e)}
+                className="w-full md:w-32 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+              />
+              {formData.lines.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeLine(index)}
+                  className="px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ✖
+                </button>
+              )}
+            </div>
+          ))}
+          <textarea
+            name="notes"
+            placeholder="Notes"
+            value={formData.notes}
+            onChange={handleChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          />
+          <div className="flex flex-col md:flex-row gap-3 sm:gap-4">
+            <button
+              type="button"
+              onClick={addLine}
+              className="w-full md:w-auto px-5 py-2 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              ➕ Add Line
+            </button>
+            <button
+              type="submit"
+              className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              Save Draft
+            </button>
+          </div>
+        </form>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SalesOrders;
@@ -0,0 +1,189 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const Sessions = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+
+  useEffect(() => {
+    if (!user || !can("users:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}/sessions`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await res.json();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, [token]);
+
+  const sendRevoke = async (path, confirmText) => {
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Revoke failed");
+
+      toast.success(data.message);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleRevoke = (session) =>
+    sendRevoke(
+      `/sessions/${session._id}`,
+      session.current
+        ? "This is your current session, you will be logged out. Continue?"
+        : "Sign this device out?"
+    );
+
+  const handleRevokeAll = (sessionUser) =>
+    sendRevoke(
+      `/sessions/user/${sessionUser._id}`,
+      `Sign ${sessionUser.name} out of every device?`
+    );
+
+  const term = search.trim().toLowerCase();
+  const visibleSessions = sessions.filter(
+    (session) =>
+      !term ||
+      session.user?.name.toLowerCase().includes(term) ||
+      session.user?.email.toLowerCase().includes(term)
+  );
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Active Sessions</h2>
+        <p className="text-lg text-gray-300">
+          Devices currently signed in, revoke any you don't recognise
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <input
+          type="text"
+          placeholder="Search by name or email"
+          className="w-full mb-4 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <table className="w-full text-left table-auto border-collapse min-w-[600px] text-sm">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="p-3 border-b border-gray-600">User</th>
+              <th className="p-3 border-b border-gray-600">Device</th>
+              <th className="p-3 border-b border-gray-600">IP</th>
+              <th className="p-3 border-b border-gray-600">Signed In</th>
+              <th className="p-3 border-b border-gray-600">Last Active</th>
+              <th className="p-3 border-b border-gray-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" className="p-3 text-center text-gray-400">
+                  Loading...
+                </td>
+              </tr>
+            ) : visibleSessions.length > 0 ? (
+              visibleSessions.map((session) => (
+                <tr
+                  key={session._id}
+                  className="border-b border-gray-700 hover:bg-gray-700 align-top"
+                >
+                  <td className="p-3">
+                    {session.user?.name || "Deleted user"}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-1 bg-green-700 rounded text-xs">
+                        this device
+                      </span>
+                    )}
+                    <div className="text-gray-400">{session.user?.email}</div>
+                  </td>
+                  <td className="p-3 max-w-xs break-words text-gray-300">
+                    {session.userAgent || "Unknown"}
+                  </td>
+                  <td className="p-3">{session.ip}</td>
+                  <td className="p-3 whitespace-nowrap">
+                    {new Date(session.createdAt).toLocaleString()}
+                  </td>
+                  <td className="p-3 whitespace-nowrap">
+                    {new Date(session.lastUsedAt).toLocaleString()}
+                  </td>
+                  <td className="p-3">
+                    <div className="flex gap-2 flex-wrap">
+                      <button
+                        onClick={() => handleRevoke(session)}
+                        className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        Revoke
+                      </button>
+                      {session.user && (
+                        <button
+                          onClick={() => handleRevokeAll(session.user)}
+                          className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                        >
+                          Revoke All
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="6" className="p-3 text-center text-gray-400">
+                  No active sessions found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,531 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+
+const STATUS_STYLES = {
+  counting: "bg-blue-600",
+  submitted: "bg-yellow-600",
+  approved: "bg-green-600",
+  cancelled: "bg-red-600",
+};
+
+const emptyForm = { name: "", category: "", location: "" };
+
+const Stocktakes = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  // counters count blind, only reviewers see what was expected
+  const reviewer = can("stocktakes:manage");
+
+  const [stocktakes, setStocktakes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [categories, setCategories] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [current, setCurrent] = useState(null);
+  const [counts, setCounts] = useState({});
+
+  useEffect(() => {
+    if (!user || !can("stocktakes:count")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const apiRequest = async (path, method = "GET", body) => {
+    const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: body && JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Request failed");
+    return data;
+  };
+
+  const fetchStocktakes = async () => {
+    try {
+      const query = new URLSearchParams({ status: statusFilter, limit: 50 });
+      const data = await apiRequest(`/stocktakes?${query}`);
+      setStocktakes(data.stocktakes);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStocktakes();
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    if (!reviewer) return;
+
+    const fetchOptions = async () => {
+      try {
+        const [categoryData, locationData] = await Promise.all([
+          apiRequest("/categories"),
+          apiRequest("/locations"),
+        ]);
+        setCategories(categoryData.categories);
+        setLocations(locationData.locations);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchOptions();
+  }, [token]);
+
+  const openStocktake = async (id) => {
+    try {
+      const data = await apiRequest(`/stocktakes/${id}`);
+      setCurrent(data);
+      setCounts(
+        Object.fromEntries(
+          data.stocktake.lines.map((line) => [line._id, line.counted ?? ""])
+        )
+      );
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  // runs an action on the open stocktake and reloads it
+  const runAction = async (path, method, body, successMessage) => {
+    try {
+      await apiRequest(path, method, body);
+      toast.success(successMessage);
+      fetchStocktakes();
+      await openStocktake(current.stocktake._id);
+      return true;
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await apiRequest("/stocktakes", "POST", {
+        name: formData.name,
+        category: formData.category || null,
+        location: formData.location || null,
+      });
+      toast.success("Stocktake started");
+      setFormData(emptyForm);
+      fetchStocktakes();
+      openStocktake(data.stocktake._id);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const saveCounts = () =>
+    runAction(
+      `/stocktakes/${current.stocktake._id}/counts`,
+      "PUT",
+      {
+        counts: Object.entries(counts).map(([lineId, counted]) => ({
+          lineId,
+          counted,
+        })),
+      },
+      "Counts saved"
+    );
+
+  const handleSubmit = async () => {
+    const saved = await saveCounts();
+    if (!saved) return;
+    runAction(
+      `/stocktakes/${current.stocktake._id}/submit`,
+      "POST",
+      {},
+      "Stocktake submitted for review"
+    );
+  };
+
+  const handleApprove = () => {
+    if (
+      !window.confirm(
+        `Post ${current.summary.withVariance} adjustments for ${current.stocktake.stocktakeNumber}?`
+      )
+    )
+      return;
+    runAction(
+      `/stocktakes/${current.stocktake._id}/approve`,
+      "POST",
+      {},
+      "Stocktake approved"
+    );
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm(`Cancel ${current.stocktake.stocktakeNumber}?`)) return;
+    runAction(
+      `/stocktakes/${current.stocktake._id}/cancel`,
+      "POST",
+      {},
+      "Stocktake cancelled"
+    );
+  };
+
+  const scopeLabel = (stocktake) =>
+    [stocktake.category?.name, stocktake.location?.name]
+      .filter(Boolean)
+      .join(" · ");
+
+  // where the stock of a line is held
+  const placeLabel = (line) =>
+    line.byVariant
+      ? line.variant?.name || "No variant"
+      : line.location?.name || "Unassigned";
+
+  const exportVarianceReport = () => {
+    const { stocktake, summary } = current;
+    const doc = new jsPDF();
+
+    doc.text(
+      `Stocktake ${stocktake.stocktakeNumber} - Variance Report`,
+      14,
+      15
+    );
+    doc.setFontSize(10);
+    doc.text(
+      [
+        `${scopeLabel(stocktake)} · ${stocktake.status}`,
+        `Counted ${summary.counted} of ${summary.lines} items, ${summary.withVariance} with a variance`,
+        `Net variance: ${summary.varianceUnits} units, Rs. ${summary.varianceValue}`,
+      ],
+      14,
+      22
+    );
+
+    autoTable(doc, {
+      head: [
+        ["Item", "Where", "SKU", "Expected", "Counted", "Variance", "Value"],
+      ],
+      body: stocktake.lines.map((line) => [
+        line.item?.name,
+        placeLabel(line),
+        line.variant?.sku || line.item?.sku || "",
+        line.expected,
+        line.counted ?? "-",
+        line.variance ?? "-",
+        line.variance === null
+          ? "-"
+          : line.variance * (line.variant?.price ?? line.item?.price ?? 0),
+      ]),
+      startY: 38,
+    });
+
+    doc.save(`stocktake_${stocktake.stocktakeNumber}.pdf`);
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  const stocktake = current?.stocktake;
+  const counting = stocktake?.status === "counting";
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Stocktakes</h2>
+        <p className="text-lg text-gray-300">
+          Count the shelves and settle the differences
+        </p>
+      </div>
+
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <div className="flex justify-between items-center mb-4 gap-3">
+          <h3 className="text-2xl font-semibold text-white">All Counts</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            <option value="counting">Counting</option>
+            <option value="submitted">Submitted</option>
+            <option value="approved">Approved</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+        </div>
+        {loading ? (
+          <p className="text-gray-400">Loading...</p>
+        ) : stocktakes.length > 0 ? (
+          <ul className="divide-y divide-gray-700">
+            {stocktakes.map((item) => (
+              <li
+                key={item._id}
+                className="py-2 flex flex-wrap justify-between items-center gap-2 text-sm"
+              >
+                <div>
+                  <span className="font-bold">{item.stocktakeNumber}</span>
+                  {item.name && (
+                    <span className="text-gray-300"> · {item.name}</span>
+                  )}
+                  <span className="text-gray-400"> · {scopeLabel(item)}</span>
+                  <span
+                    className={`ml-2 px-2 py-1 rounded text-xs ${
+                      STATUS_STYLES[item.status]
+                    }`}
+                  >
+                    {item.status}
+                  </span>
+                  <div className="text-xs text-gray-400">
+                    {item.countedCount} / {item.lineCount} counted · started{" "}
+                    {new Date(item.createdAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <button
+                  onClick={() => openStocktake(item._id)}
+                  className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  📋 Open
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-400">No stocktakes found</p>
+        )}
+      </div>
+
+      {stocktake && (
+        <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-2xl font-semibold text-white">
+              {stocktake.stocktakeNumber} · {scopeLabel(stocktake)}
+            </h3>
+            <button
+              onClick={() => setCurrent(null)}
+              className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+            >
+              ✖ Close
+            </button>
+          </div>
+          {reviewer && (
+            <p className="text-gray-300 text-sm mb-4">
+              Counted {current.summary.counted} of {current.summary.lines} ·{" "}
+              {current.summary.withVariance} with a variance · net{" "}
+              {current.summary.varianceUnits} units (₹
+              {current.summary.varianceValue})
+            </p>
+          )}
+          <table className="w-full text-left table-auto border-collapse text-sm min-w-[500px] mb-4">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="p-2">Item</th>
+                {reviewer && <th className="p-2">Expected</th>}
+                <th className="p-2">Counted</th>
+                {reviewer && <th className="p-2">Variance</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {stocktake.lines.map((line) => (
+                <tr key={line._id} className="border-b border-gray-700">
+                  <td className="p-2">
+                    {line.item?.name}
+                    <div className="text-xs text-gray-400">
+                      {placeLabel(line)} ·{" "}
+                      {line.variant?.sku ||
+                        line.item?.sku ||
+                        line.item?.category?.name}
+                    </div>
+                  </td>
+                  {reviewer && (
+                    <td className="p-2">
+                      {line.expected}
+                      {/* stock moved since the stocktake was created */}
+                      {line.bookAtCount !== null &&
+                        line.bookAtCount !== line.expected && (
+                          <div className="text-xs text-gray-400">
+                            {line.bookAtCount} on the books at count
+                          </div>
+                        )}
+                    </td>
+                  )}
+                  <td className="p-2">
+                    {counting ? (
+                      <input
+                        type="number"
+                        min="0"
+                        value={counts[line._id] ?? ""}
+                        onChange={(e) =>
+                          setCounts((prev) => ({
+                            ...prev,
+                            [line._id]: e.target.value,
+                          }))
+                        }
+                        className="w-24 p-1 rounded bg-gray-600 border border-gray-500 text-white text-sm"
+                      />
+                    ) : (
+                      (line.counted ?? "—")
+                    )}
+                  </td>
+                  {reviewer && (
+                    <td
+                      className={`p-2 ${
+                        line.variance < 0
+                          ? "text-red-400"
+                          : line.variance > 0
+                            ? "text-green-400"
+                            : ""
+                      }`}
+                    >
+                      {line.variance === null
+                        ? "—"
+                        : `${line.variance > 0 ? "+" : ""}${line.variance}`}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex gap-2 flex-wrap">
+            {counting && (
+              <>
+                <button
+                  onClick={saveCounts}
+                  className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  💾 Save Counts
+                </button>
+                <button
+                  onClick={handleSubmit}
+                  className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  📨 Submit for Review
+                </button>
+              </>
+            )}
+            {reviewer && stocktake.status === "submitted" && (
+              <>
+                <button
+                  onClick={handleApprove}
+                  className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ✅ Approve & Post
+                </button>
+                <button
+                  onClick={() =>
+                    runAction(
+                      `/stocktakes/${stocktake._id}/reopen`,
+                      "POST",
+                      {},
+                      "Stocktake reopened"
+                    )
+                  }
+                  className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  🔁 Recount
+                </button>
+              </>
+            )}
+            {reviewer &&
+              ["counting", "submitted"].includes(stocktake.status) && (
+                <button
+                  onClick={handleCancel}
+                  className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                >
+                  ❌ Cancel
+                </button>
+              )}
+            {reviewer && (
+              <button
+                onClick={exportVarianceReport}
+                className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+              >
+                📄 Variance PDF
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {reviewer && (
+        <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+          <h3 className="text-2xl font-semibold mb-4 text-white">
+            New Stocktake
+          </h3>
+          <form
+            onSubmit={handleCreate}
+            className="flex flex-col md:flex-row gap-3 sm:gap-4 items-center"
+          >
+            <input
+              type="text"
+              name="name"
+              placeholder="Name (optional)"
+              value={formData.name}
+              onChange={handleChange}
+              className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            />
+            <select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">Any category</option>
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {category.path}
+                </option>
+              ))}
+            </select>
+            <select
+              name="location"
+              value={formData.location}
+              onChange={handleChange}
+              className="w-full md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            >
+              <option value="">Any location</option>
+              {locations.map((location) => (
+                <option key={location._id} value={location._id}>
+                  {location.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              Start Count
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Stocktakes;
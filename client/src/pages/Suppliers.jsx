@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+const emptyForm = {
+  name: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  address: "",
+};
+
+const Suppliers = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    if (!user || !can("suppliers:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchSuppliers = async () => {
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/suppliers`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setSuppliers(data.suppliers || []);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/suppliers${
+          editingId ? `/${editingId}` : ""
+        }`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(formData),
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to save supplier");
+
+      toast.success(editingId ? "Supplier updated" : "Supplier added");
+      setFormData(emptyForm);
+      setEditingId(null);
+      fetchSuppliers();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const startEditing = (supplier) => {
+    setEditingId(supplier._id);
+    setFormData({
+      name: supplier.name,
+      contactName: supplier.contactName || "",
+      email: supplier.email || "",
+      phone: supplier.phone || "",
+      address: supplier.address || "",
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Are you sure you want to delete this supplier?"))
+      return;
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/suppliers/${id}`,
+        {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Delete failed");
+
+      toast.success("Supplier deleted");
+      fetchSuppliers();
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Suppliers</h2>
+        <p className="text-lg text-gray-300">
+          Manage the vendors you purchase stock from
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <h3 className="text-2xl font-semibold mb-4 text-white">
+          All Suppliers
+        </h3>
+        <table className="w-full text-left table-auto border-collapse min-w-[600px]">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="p-3 border-b border-gray-600">Name</th>
+              <th className="p-3 border-b border-gray-600">Contact</th>
+              <th className="p-3 border-b border-gray-600">Email</th>
+              <th className="p-3 border-b border-gray-600">Phone</th>
+              <th className="p-3 border-b border-gray-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="p-3 text-center text-gray-400">
+                  Loading...
+                </td>
+              </tr>
+            ) : suppliers.length > 0 ? (
+              suppliers.map((supplier) => (
+                <tr
+                  key={supplier._id}
+                  className="border-b border-gray-700 hover:bg-gray-700"
+                >
+                  <td className="p-3">{supplier.name}</td>
+                  <td className="p-3">{supplier.contactName}</td>
+                  <td className="p-3">{supplier.email}</td>
+                  <td className="p-3">{supplier.phone}</td>
+                  <td className="p-3">
+                    <div className="flex gap-2 flex-wrap">
+                      <button
+                        onClick={() => startEditing(supplier)}
+                        className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(supplier._id)}
+                        className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="p-3 text-center text-gray-400">
+                  No suppliers found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h3 className="text-2xl font-semibold mb-4 text-white">
+          {editingId ? "Edit Supplier" : "Add New Supplier"}
+        </h3>
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col md:flex-row md:flex-wrap gap-3 sm:gap-4 items-center"
+        >
+          <input
+            type="text"
+            name="name"
+            placeholder="Supplier name"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.name}
+            onChange={handleChange}
+            required
+          />
+          <input
+            type="text"
+            name="contactName"
+            placeholder="Contact person"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.contactName}
+            onChange={handleChange}
+          />
+          <input
+            type="email"
+            name="email"
+            placeholder="Email"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.email}
+            onChange={handleChange}
+          />
+          <input
+            type="text"
+            name="phone"
+            placeholder="Phone"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.phone}
+            onChange={handleChange}
+          />
+          <input
+            type="text"
+            name="address"
+            placeholder="Address"
+            className="w-full md:w-auto md:flex-1 px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={formData.address}
+            onChange={handleChange}
+          />
+          <button
+            type="submit"
+            className="w-full md:w-auto px-5 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            {editingId ? "Save Supplier" : "Add Supplier"}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={cancelEditing}
+              className="w-full md:w-auto px-5 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+            >
+              Cancel
+            </button>
+          )}
+        </form>
+      </div>
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Suppliers;
@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { toast } from "react-toastify";
+import TwoFactorEnrollment from "../components/TwoFactorEnrollment";
+import RecoveryCodes from "../components/RecoveryCodes";
+
+const TwoFactor = () => {
+  const { user, token, updateUser } = useAuth();
+
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+
+  const enabled = !!user?.twoFactorEnabled;
+
+  const postTwoFactor = async (path, body) => {
+    const res = await fetch(
+      `${import.meta.env.VITE_API_BASE_URL}/auth/2fa/${path}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body || {}),
+      }
+    );
+
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Request failed");
+    return data;
+  };
+
+  const handleStart = async () => {
+    try {
+      setEnrollment(await postTwoFactor("enroll"));
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleEnable = async (enrollCode) => {
+    try {
+      const data = await postTwoFactor("enable", { code: enrollCode });
+
+      toast.success(data.message);
+      setEnrollment(null);
+      setRecoveryCodes(data.recoveryCodes);
+      updateUser({ twoFactorEnabled: true });
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await postTwoFactor("disable", { password });
+
+      toast.success(data.message);
+      setPassword("");
+      setRecoveryCodes(null);
+      updateUser({ twoFactorEnabled: false });
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await postTwoFactor("recovery-codes", { code });
+
+      toast.success("New recovery codes generated");
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    }
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "40px auto" }} className="p-4">
+      <h2 className="text-center text-3xl font-bold mb-4 text-white">
+        Two-Factor Authentication
+      </h2>
+      <p className="text-center text-gray-300 mb-8">
+        Status:{" "}
+        {enabled ? (
+          <span className="text-green-400 font-semibold">On</span>
+        ) : (
+          <span className="text-red-400 font-semibold">Off</span>
+        )}
+      </p>
+
+      {recoveryCodes && (
+        <div className="mb-8">
+          <RecoveryCodes codes={recoveryCodes} />
+        </div>
+      )}
+
+      {!enabled &&
+        (enrollment ? (
+          <TwoFactorEnrollment
+            enrollment={enrollment}
+            onConfirm={handleEnable}
+          />
+        ) : (
+          <button
+            onClick={handleStart}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+          >
+            Set Up Two-Factor
+          </button>
+        ))}
+
+      {enabled && (
+        <div className="space-y-8">
+          <form onSubmit={handleRegenerate} className="space-y-3">
+            <legend className="text-lg text-gray-300">
+              New recovery codes
+            </legend>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="Code from your app"
+              className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <button
+              type="submit"
+              className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+            >
+              Regenerate Recovery Codes
+            </button>
+          </form>
+
+          <form onSubmit={handleDisable} className="space-y-3">
+            <legend className="text-lg text-gray-300">
+              Turn off two-factor
+            </legend>
+            <input
+              type="password"
+              placeholder="Password"
+              className="w-full p-3 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            <button
+              type="submit"
+              className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+            >
+              Disable Two-Factor
+            </button>
+          </form>
+        </div>
+      )}
+
+      <button
+        onClick={handleGoBack}
+        className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline mt-8"
+      >
+        Go Back
+      </button>
+    </div>
+  );
+};
+
+export default TwoFactor;
@@ -0,0 +1,375 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import InviteUsers from "../components/InviteUsers";
+
+const Users = () => {
+  const { user, token, can } = useAuth();
+  const navigate = useNavigate();
+
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ search: "", role: "", active: "" });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    if (!user || !can("users:manage")) {
+      navigate("/login");
+    }
+  }, [user, navigate]);
+
+  const fetchUsers = async () => {
+    const queryParams = new URLSearchParams({
+      ...filters,
+      page,
+      limit: 20,
+    }).toString();
+
+    try {
+      const res = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/users?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await res.json();
+      setUsers(data.users || []);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      console.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, [token, page]);
+
+  useEffect(() => {
+    const fetchRoles = async () => {
+      try {
+        const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}/roles`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const data = await res.json();
+        setRoles(data.roles || []);
+      } catch (err) {
+        console.error(err.message);
+      }
+    };
+
+    fetchRoles();
+  }, [token]);
+
+  const sendRequest = async (path, method, body, successMessage) => {
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_BASE_URL}${path}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Request failed");
+
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong");
+    } finally {
+      fetchUsers();
+    }
+  };
+
+  const handleRoleChange = (target, role) =>
+    sendRequest(
+      `/users/${target._id}`,
+      "PUT",
+      { role },
+      `${target.name} is now ${role}`
+    );
+
+  const handleToggleActive = (target) => {
+    if (
+      target.active &&
+      !window.confirm(
+        `Deactivate ${target.name}? They will be signed out everywhere.`
+      )
+    )
+      return;
+
+    sendRequest(
+      `/users/${target._id}`,
+      "PUT",
+      { active: !target.active },
+      target.active ? "User deactivated" : "User activated"
+    );
+  };
+
+  const handleUnlock = (target) =>
+    sendRequest(
+      `/users/${target._id}/unlock`,
+      "POST",
+      null,
+      `${target.name} unlocked`
+    );
+
+  const handleResetTwoFactor = (target) => {
+    if (
+      !window.confirm(
+        `Turn off two-factor for ${target.name}? Only do this after confirming who they are.`
+      )
+    )
+      return;
+    sendRequest(
+      `/users/${target._id}/reset-2fa`,
+      "POST",
+      null,
+      "Two-factor authentication reset"
+    );
+  };
+
+  const handleDelete = (target) => {
+    if (!window.confirm(`Are you sure you want to delete ${target.name}?`))
+      return;
+    sendRequest(`/users/${target._id}`, "DELETE", null, "User deleted");
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters((prev) => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+    setPage(1);
+  };
+
+  const handleGoBack = () => {
+    window.history.back();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-6 md:p-8">
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 text-center max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <h2 className="text-3xl font-bold mb-2">Users</h2>
+        <p className="text-lg text-gray-300">
+          Manage who can sign in and what role they have
+        </p>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4 mb-4">
+          <input
+            type="text"
+            name="search"
+            placeholder="Search by name or email"
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+            value={filters.search}
+            onChange={handleFilterChange}
+          />
+          <select
+            name="role"
+            value={filters.role}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">All roles</option>
+            {roles.map((role) => (
+              <option key={role._id} value={role.name}>
+                {role.name}
+              </option>
+            ))}
+          </select>
+          <select
+            name="active"
+            value={filters.active}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm"
+          >
+            <option value="">Any status</option>
+            <option value="true">Active</option>
+            <option value="false">Deactivated</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap justify-center gap-3">
+          <button
+            onClick={() => fetchUsers()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Apply Filters
+          </button>
+          <button
+            onClick={() => navigate("/register")}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded focus:outline-none focus:shadow-outline text-sm"
+          >
+            Add User
+          </button>
+        </div>
+      </div>
+      <div className="bg-gray-800 p-5 rounded-lg shadow-lg mb-6 max-w-2xl mx-auto md:max-w-3xl lg:max-w-4xl overflow-x-auto">
+        <table className="w-full text-left table-auto border-collapse min-w-[600px] text-sm">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="p-3 border-b border-gray-600">Name</th>
+              <th className="p-3 border-b border-gray-600">Email</th>
+              <th className="p-3 border-b border-gray-600">Role</th>
+              <th className="p-3 border-b border-gray-600">Status</th>
+              <th className="p-3 border-b border-gray-600">Last Login</th>
+              <th className="p-3 border-b border-gray-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" className="p-3 text-center text-gray-400">
+                  Loading...
+                </td>
+              </tr>
+            ) : users.length > 0 ? (
+              users.map((target) => {
+                const isSelf = target._id === user?.id;
+                const locked =
+                  target.lockedUntil &&
+                  new Date(target.lockedUntil) > new Date();
+
+                return (
+                  <tr
+                    key={target._id}
+                    className="border-b border-gray-700 hover:bg-gray-700"
+                  >
+                    <td className="p-3">
+                      {target.name}
+                      {isSelf && <span className="text-gray-400"> (you)</span>}
+                    </td>
+                    <td className="p-3">{target.email}</td>
+                    <td className="p-3">
+                      <select
+                        value={target.role}
+                        disabled={isSelf}
+                        onChange={(e) =>
+                          handleRoleChange(target, e.target.value)
+                        }
+                        className="px-2 py-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-blue-500 text-white text-sm disabled:opacity-50"
+                      >
+                        {roles.map((role) => (
+                          <option key={role._id} value={role.name}>
+                            {role.name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-3">
+                      {target.active ? (
+                        <span className="text-green-400">Active</span>
+                      ) : (
+                        <span className="text-red-400">Deactivated</span>
+                      )}
+                      {target.twoFactorEnabled && (
+                        <div className="text-blue-400 text-xs">2FA on</div>
+                      )}
+                      {locked && (
+                        <div className="text-yellow-400 text-xs">
+                          Locked until{" "}
+                          {new Date(target.lockedUntil).toLocaleTimeString()}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-3 whitespace-nowrap">
+                      {target.lastLoginAt
+                        ? new Date(target.lastLoginAt).toLocaleString()
+                        : "Never"}
+                    </td>
+                    <td className="p-3">
+                      {!isSelf && (
+                        <div className="flex gap-2 flex-wrap">
+                          {locked && (
+                            <button
+                              onClick={() => handleUnlock(target)}
+                              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              Unlock
+                            </button>
+                          )}
+                          {target.twoFactorEnabled && (
+                            <button
+                              onClick={() => handleResetTwoFactor(target)}
+                              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                            >
+                              Reset 2FA
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleToggleActive(target)}
+                            className={`px-3 py-1 ${
+                              target.active
+                                ? "bg-yellow-600 hover:bg-yellow-700"
+                                : "bg-green-600 hover:bg-green-700"
+                            } text-white rounded text-sm focus:outline-none focus:shadow-outline`}
+                          >
+                            {target.active ? "Deactivate" : "Activate"}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(target)}
+                            className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm focus:outline-none focus:shadow-outline"
+                          >
+                            🗑️ Delete
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan="6" className="p-3 text-center text-gray-400">
+                  No users found
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="mt-6 flex flex-col sm:flex-row justify-center items-center space-y-3 sm:space-y-0 sm:space-x-4">
+          <button
+            onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
+            disabled={page === 1}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            ⬅️ Prev
+          </button>
+          <span className="text-lg text-gray-300">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => Math.min(prev + 1, totalPages))}
+            disabled={page === totalPages}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded disabled:opacity-50 disabled:cursor-not-allowed text-sm w-full sm:w-auto"
+          >
+            Next ➡️
+          </button>
+        </div>
+      </div>
+      <InviteUsers token={token} roles={roles} />
+      <div className="mt-8 text-center max-w-md mx-auto">
+        <button
+          onClick={handleGoBack}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded focus:outline-none focus:shadow-outline"
+        >
+          Go Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,54 @@
+// importing AuditLog model
+import AuditLog from "../models/AuditLog.js";
+
+// GET AUDIT LOGS
+export const getAuditLogs = async (req, res) => {
+  const {
+    action,
+    actor,
+    targetType,
+    targetId,
+    from,
+    to,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const query = {};
+
+  if (action) query.action = action;
+  if (actor) query.actor = actor;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      // a plain date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const logs = await AuditLog.find(query)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await AuditLog.countDocuments(query);
+    return res.status(200).json({
+      totalLogs: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      logs,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
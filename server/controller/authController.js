@@ -1,24 +1,105 @@
 // importing all packages
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 
-// importing User Model
-import User from "../models/User.js";
+// importing User, Role and PasswordReset Models
+import User, { MIN_PASSWORD_LENGTH } from "../models/User.js";
+import Role from "../models/Role.js";
+import PasswordReset from "../models/PasswordReset.js";
 
-// defining JWT secret key from .env
+// importing audit and session helpers
+import { recordAudit } from "../utils/audit.js";
+import {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "../utils/session.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
+import {
+  getIpLock,
+  lockedForSeconds,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../utils/loginThrottle.js";
+import {
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  signChallenge,
+  verifyChallenge,
+} from "../utils/twoFactor.js";
+
+// hidden two-factor fields needed to check a code
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep";
+
+// reset links are short lived
 dotenv.config({ quiet: true });
-const JWT_SECRET = process.env.JWT_SECRET;
+const RESET_TOKEN_TTL_MINUTES =
+  Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+// the signed in user as the client sees it, permissions come from the role
+const toAuthUser = async (user) => {
+  const userRole = await Role.findOne({ name: user.role });
+
+  return {
+    id: user._id,
+    name: user.name,
+    role: user.role,
+    permissions: userRole?.permissions || [],
+    twoFactorEnabled: user.twoFactorEnabled,
+  };
+};
+
+// issues the session once every login step has passed
+const completeLogin = async (user, req) => {
+  await recordLoginSuccess(req.ip, user);
+  const { session, refreshToken } = await createSession(user, req);
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    user: await toAuthUser(user),
+  };
+};
+
+const lockedOutResponse = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many failed login attempts. Please try again later.",
+  });
+};
 
 // REGISTER
 export const registerUser = async (req, res) => {
   const { name, email, password, role } = req.body;
 
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
   try {
     const existingUser = await User.findOne({ email });
     if (existingUser)
       return res.status(400).json({ message: "User already exists!" });
 
+    if (role && !(await Role.exists({ name: role.toLowerCase() })))
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+
+    if (!(await Role.canGrant(req.user.role, role))) {
+      return res.status(403).json({
+        message: "You can't grant a role with more access than yours",
+      });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = await User.create({
       name,
@@ -27,6 +108,14 @@ export const registerUser = async (req, res) => {
       role,
     });
 
+    await recordAudit({
+      req,
+      action: "user.register",
+      targetType: "User",
+      target: user,
+      after: user,
+    });
+
     return res.status(200).json({
       user: {
         id: user._id,
@@ -42,28 +131,474 @@ export const registerUser = async (req, res) => {
 };
 
 // LOGIN
+// unknown emails and wrong passwords get the same answer so accounts can't be enumerated
 export const loginUser = async (req, res) => {
   const { email, password } = req.body;
   try {
     const user = await User.findOne({ email });
 
+    const retryAfter = lockedForSeconds(await getIpLock(req.ip));
+    if (retryAfter > 0) return lockedOutResponse(res, retryAfter);
+
+    // a locked account answers like an unknown email, the lockout must not
+    // tell that the email is registered
+    const accountLocked = lockedForSeconds(user?.lockedUntil) > 0;
+
+    // compare against a dummy hash too, so a missing user takes as long
+    const isMatch = await bcrypt.compare(
+      password || "",
+      user?.password || DUMMY_HASH
+    );
+    if (!user || accountLocked || !isMatch) {
+      await recordLoginFailure(req.ip, accountLocked ? null : user);
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    // second step: a code from the authenticator app
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user, "2fa"),
+      });
+    }
+
+    // the role insists on 2FA, so it has to be set up before signing in
+    const userRole = await Role.findOne({ name: user.role });
+    if (userRole?.requireTwoFactor) {
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user, "2fa-setup"),
+      });
+    }
+
+    return res.status(200).json(await completeLogin(user, req));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// VERIFY TWO-FACTOR LOGIN
+// accepts either a code from the app or one of the recovery codes
+export const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const challenge = verifyChallenge(challengeToken, "2fa");
+    const user =
+      challenge &&
+      (await User.findById(challenge.id).select(TWO_FACTOR_FIELDS));
+
+    if (!user || !user.active || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    const retryAfter = lockedForSeconds(
+      await getIpLock(req.ip),
+      user.lockedUntil
+    );
+    if (retryAfter > 0) return lockedOutResponse(res, retryAfter);
+
+    if (recoveryCode) {
+      // every recovery code works once
+      const hash = hashRecoveryCode(recoveryCode);
+      const updated = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+      if (!updated.modifiedCount) {
+        await recordLoginFailure(req.ip, user);
+        return res.status(401).json({ message: "Invalid recovery code" });
+      }
+    } else {
+      const step = verifyTotp(
+        user.twoFactorSecret,
+        code,
+        user.twoFactorLastStep
+      );
+      if (step === null) {
+        await recordLoginFailure(req.ip, user);
+        return res.status(401).json({ message: "Invalid verification code" });
+      }
+      await User.updateOne({ _id: user._id }, { twoFactorLastStep: step });
+    }
+
+    return res.status(200).json(await completeLogin(user, req));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// saves a fresh secret that waits for its first code
+const beginEnrollment = async (user) => {
+  const enrollment = await createEnrollment(user);
+  await User.updateOne(
+    { _id: user._id },
+    { twoFactorPendingSecret: enrollment.secret }
+  );
+  return enrollment;
+};
+
+// turns 2FA on when the code matches the pending secret, returns the
+// recovery codes or null
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactorPendingSecret");
+  const step = verifyTotp(user?.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastStep: step,
+    }
+  );
+  return codes;
+};
+
+// START TWO-FACTOR SETUP DURING LOGIN
+export const startTwoFactorSetup = async (req, res) => {
+  try {
+    const challenge = verifyChallenge(req.body.challengeToken, "2fa-setup");
+    const user = challenge && (await User.findById(challenge.id));
+
+    if (!user || !user.active) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    return res.status(200).json(await beginEnrollment(user));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CONFIRM TWO-FACTOR SETUP DURING LOGIN
+export const confirmTwoFactorSetup = async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    const challenge = verifyChallenge(challengeToken, "2fa-setup");
+    const user = challenge && (await User.findById(challenge.id));
+
+    if (!user || !user.active) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user._id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    req.user = { id: user._id };
+    await recordAudit({
+      req,
+      action: "user.2fa.enable",
+      targetType: "User",
+      target: user,
+    });
+
+    user.twoFactorEnabled = true;
+    return res
+      .status(200)
+      .json({ ...(await completeLogin(user, req)), recoveryCodes });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// ENROLL IN TWO-FACTOR
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    return res.status(200).json(await beginEnrollment(user));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// ENABLE TWO-FACTOR
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const user = await User.findById(req.user.id);
+    await recordAudit({
+      req,
+      action: "user.2fa.enable",
+      targetType: "User",
+      target: user,
+    });
+
+    return res.status(200).json({
+      message: "Two-factor authentication enabled.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DISABLE TWO-FACTOR
+export const disableTwoFactor = async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await bcrypt.compare(password || "", user.password);
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid Credentials" });
+      return res.status(401).json({ message: "Password is incorrect" });
     }
 
-    const token = jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, {
-      expiresIn: "1d",
+    const userRole = await Role.findOne({ name: user.role });
+    if (userRole?.requireTwoFactor) {
+      return res.status(400).json({
+        message: `Two-factor authentication is required for the ${user.role} role`,
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastStep: null,
+      }
+    );
+
+    await recordAudit({
+      req,
+      action: "user.2fa.disable",
+      targetType: "User",
+      target: user,
     });
 
+    return res
+      .status(200)
+      .json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REGENERATE RECOVERY CODES
+// needs a current code so a stolen session alone can't replace them
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const step = verifyTotp(
+      user.twoFactorSecret,
+      req.body.code,
+      user.twoFactorLastStep
+    );
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { twoFactorRecoveryCodes: hashes, twoFactorLastStep: step }
+    );
+
+    return res.status(200).json({ recoveryCodes: codes });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REFRESH
+export const refreshSession = async (req, res) => {
+  try {
+    const { session, refreshToken } = await rotateSession(
+      req.body.refreshToken,
+      req
+    );
+
+    const user = await User.findById(session.user);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: "Account is no longer active" });
+    }
+
     return res.status(200).json({
-      token,
-      user: { id: user._id, name: user.name, role: user.role },
+      token: signAccessToken(user, session),
+      refreshToken,
+      user: await toAuthUser(user),
     });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// LOGOUT
+export const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.body.refreshToken);
+
+    return res.status(200).json({ message: "Logged out successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CHANGE PASSWORD
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword || "", user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // other devices have to sign in again with the new password
+    await revokeUserSessions(user._id, req.user.sid);
+
+    await recordAudit({
+      req,
+      action: "user.password.change",
+      targetType: "User",
+      target: user,
+    });
+
+    return res.status(200).json({ message: "Password changed successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// FORGOT PASSWORD
+// always answers the same way so the endpoint can't be used to probe emails
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = email && (await User.findOne({ email }));
+
+    if (user && user.active) {
+      await PasswordReset.deleteMany({ user: user._id });
+
+      const token = generateToken();
+      await PasswordReset.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      });
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.\n\n${CLIENT_URL}/reset-password?token=${token}\n\nIf you didn't ask for this you can ignore this email.`,
+      });
+    }
+
+    return res.status(200).json({
+      message: "If that email is registered, a reset link has been sent.",
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// RESET PASSWORD
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    // claiming the token first makes it single use
+    const reset = await PasswordReset.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token || ""),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() }
+    );
+
+    const user = reset && (await User.findById(reset.user));
+
+    if (!user || !user.active) {
+      return res
+        .status(400)
+        .json({ message: "This reset link is invalid or has expired" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    req.user = { id: user._id };
+    await recordAudit({
+      req,
+      action: "user.password.reset",
+      targetType: "User",
+      target: user,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Password reset, you can now log in." });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
@@ -0,0 +1,185 @@
+// importing models
+import Category from "../models/Category.js";
+import Inventory from "../models/Inventory.js";
+
+// importing helpers
+import { runInTransaction } from "../utils/transaction.js";
+import { categoryPaths, isCategoryNameTaken } from "../utils/categories.js";
+
+// CREATE CATEGORY
+export const createCategory = async (req, res) => {
+  const { name, parent = null, description } = req.body;
+  const user = req.user;
+
+  try {
+    const parentCategory = parent && (await Category.findById(parent));
+    if (parent && !parentCategory) {
+      return res.status(404).json({ message: "Parent category not found" });
+    }
+
+    if (name && (await isCategoryNameTaken(name, parent))) {
+      return res.status(400).json({ message: "Category already exists!" });
+    }
+
+    const category = await Category.create({
+      name,
+      parent: parentCategory?._id || null,
+      ancestors: parentCategory
+        ? [...parentCategory.ancestors, parentCategory._id]
+        : [],
+      description,
+      createdBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Category created successfully", category });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET CATEGORIES
+// flat list ordered by path, every category carries its full path and the
+// number of items filed directly under it
+export const getAllCategories = async (req, res) => {
+  try {
+    const categories = await Category.find();
+    const paths = await categoryPaths();
+
+    const counts = await Inventory.aggregate([
+      { $match: { deletedAt: null } },
+      { $group: { _id: "$category", items: { $sum: 1 } } },
+    ]);
+    const itemsByCategory = Object.fromEntries(
+      counts.map((count) => [String(count._id), count.items])
+    );
+
+    return res.status(200).json({
+      categories: categories
+        .map((category) => ({
+          ...category.toObject(),
+          path: paths.get(String(category._id)),
+          itemCount: itemsByCategory[category._id] || 0,
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path)),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE CATEGORY
+// moving a category to a new parent moves its whole branch with it
+export const updateCategory = async (req, res) => {
+  const { id } = req.params;
+  const { name, parent, description } = req.body;
+
+  try {
+    const category = await Category.findById(id);
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const parentId = parent === undefined ? category.parent : parent || null;
+    const moving = String(parentId) !== String(category.parent);
+
+    let parentCategory = null;
+    if (parentId) {
+      parentCategory = await Category.findById(parentId);
+      if (!parentCategory) {
+        return res.status(404).json({ message: "Parent category not found" });
+      }
+      if (
+        parentCategory._id.equals(category._id) ||
+        parentCategory.ancestors.some((ancestor) => ancestor.equals(id))
+      ) {
+        return res.status(400).json({
+          message: "A category cannot be moved inside its own branch",
+        });
+      }
+    }
+
+    if (
+      (name !== undefined || moving) &&
+      (await isCategoryNameTaken(name ?? category.name, parentId, id))
+    ) {
+      return res.status(400).json({ message: "Category already exists!" });
+    }
+
+    const updatedCategory = await runInTransaction(async (session) => {
+      if (name !== undefined) category.name = name;
+      if (description !== undefined) category.description = description;
+
+      if (moving) {
+        const oldAncestors = category.ancestors.length;
+        category.parent = parentCategory?._id || null;
+        category.ancestors = parentCategory
+          ? [...parentCategory.ancestors, parentCategory._id]
+          : [];
+
+        // descendants swap the old path above this category for the new one
+        const descendants = await Category.find({ ancestors: id }).session(
+          session
+        );
+        if (descendants.length > 0) {
+          await Category.bulkWrite(
+            descendants.map((descendant) => ({
+              updateOne: {
+                filter: { _id: descendant._id },
+                update: {
+                  ancestors: [
+                    ...category.ancestors,
+                    ...descendant.ancestors.slice(oldAncestors),
+                  ],
+                },
+              },
+            })),
+            { session }
+          );
+        }
+      }
+
+      return category.save({ session });
+    });
+
+    return res.status(200).json({
+      message: "Category updated successfully.",
+      category: updatedCategory,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE CATEGORY
+// only empty categories can go, items in the trash still count
+export const deleteCategory = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (await Category.exists({ parent: id })) {
+      return res.status(400).json({
+        message: "Category has subcategories. Move or delete them first.",
+      });
+    }
+
+    if (await Inventory.exists({ category: id })) {
+      return res.status(400).json({
+        message:
+          "Category still has items. Move them to another category first.",
+      });
+    }
+
+    const deletedCategory = await Category.findByIdAndDelete(id);
+
+    if (!deletedCategory) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    return res.status(200).json({ message: "Category deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
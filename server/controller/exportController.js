@@ -0,0 +1,157 @@
+// importing all packages
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+// importing inventory model
+import Inventory from "./../models/Inventory.js";
+
+// importing item query helper
+import { buildItemQuery } from "../utils/itemQuery.js";
+import { categoryPaths } from "../utils/categories.js";
+
+// columns written to every export format
+const COLUMNS = [
+  { header: "Name", key: "name", width: 30 },
+  { header: "Category", key: "category", width: 20 },
+  { header: "SKU", key: "sku", width: 16 },
+  { header: "Barcode", key: "barcode", width: 16 },
+  { header: "Quantity", key: "quantity", width: 12 },
+  { header: "Price", key: "price", width: 12 },
+  { header: "Reorder Level", key: "reorderLevel", width: 14 },
+  { header: "Created By", key: "createdBy", width: 20 },
+  { header: "Created At", key: "createdAt", width: 24 },
+];
+
+// categories are written as their full path, e.g. "Electronics > Phones"
+const toRow = (item, paths) => ({
+  name: item.name,
+  category: paths.get(String(item.category)) || "",
+  sku: item.sku || "",
+  barcode: item.barcode || "",
+  quantity: item.quantity,
+  price: item.price,
+  reorderLevel: item.reorderLevel,
+  createdBy: item.createdBy?.name || "",
+  createdAt: item.createdAt?.toISOString() || "",
+});
+
+// quotes a csv field when needed and neutralises spreadsheet formulas
+const escapeCsv = (value) => {
+  let field = value === undefined || value === null ? "" : String(value);
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+};
+
+// writes a chunk and waits for the client to catch up when buffering,
+// gives up when the client goes away before the buffer drains
+const write = async (res, chunk) => {
+  if (res.write(chunk)) return;
+
+  const waiting = new AbortController();
+  const { signal } = waiting;
+  const [event] = await Promise.race([
+    once(res, "drain", { signal }).then(() => ["drain"]),
+    once(res, "close", { signal }).then(() => ["close"]),
+  ]);
+  waiting.abort();
+
+  if (event === "close") throw new Error("Client closed the connection");
+};
+
+const streamCsv = async (cursor, res, paths) => {
+  await write(
+    res,
+    COLUMNS.map((col) => escapeCsv(col.header)).join(",") + "\r\n"
+  );
+
+  for await (const item of cursor) {
+    const row = toRow(item, paths);
+    await write(
+      res,
+      COLUMNS.map((col) => escapeCsv(row[col.key])).join(",") + "\r\n"
+    );
+  }
+
+  res.end();
+};
+
+const streamJson = async (cursor, res, paths) => {
+  let first = true;
+  await write(res, "[");
+
+  for await (const item of cursor) {
+    await write(res, (first ? "" : ",") + JSON.stringify(toRow(item, paths)));
+    first = false;
+  }
+
+  res.end("]");
+};
+
+const streamXlsx = async (cursor, res, paths) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Inventory");
+  sheet.columns = COLUMNS;
+
+  for await (const item of cursor) {
+    sheet.addRow(toRow(item, paths)).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", stream: streamCsv },
+  json: { type: "application/json; charset=utf-8", stream: streamJson },
+  xlsx: {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    stream: streamXlsx,
+  },
+};
+
+// EXPORT ITEMS
+// streams every item matching the same filters as GET /api/items
+export const exportItems = async (req, res) => {
+  const { format = "csv" } = req.query;
+  const exporter = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+
+  if (!exporter) {
+    return res
+      .status(400)
+      .json({ message: "Format must be one of csv, xlsx or json" });
+  }
+
+  let cursor;
+
+  try {
+    const { query, sortOptions } = await buildItemQuery(req.query);
+
+    const paths = await categoryPaths();
+    cursor = Inventory.find(query)
+      .populate("createdBy", "name")
+      .sort(sortOptions)
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", exporter.type);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="inventory-${date}.${format}"`
+    );
+
+    await exporter.stream(cursor, res, paths);
+  } catch (err) {
+    // stop reading from the database when the client went away mid-export
+    await cursor?.close().catch(() => {});
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,247 @@
+// importing all packages
+import { parse } from "csv-parse/sync";
+
+// importing inventory model
+import Inventory from "./../models/Inventory.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  checkMovementThresholds,
+  recordOpeningBalance,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { checkReorderThreshold } from "../utils/stockAlerts.js";
+import { recordAudit } from "../utils/audit.js";
+import { findCodeConflict, normalizeSku } from "../utils/productCodes.js";
+import { findCategoryPath } from "../utils/categories.js";
+
+// csv headers accepted for every field, compared without case or spacing
+const HEADERS = {
+  name: "name",
+  category: "category",
+  sku: "sku",
+  barcode: "barcode",
+  ean: "barcode",
+  upc: "barcode",
+  quantity: "quantity",
+  qty: "quantity",
+  price: "price",
+  reorderlevel: "reorderLevel",
+  reorderquantity: "reorderQuantity",
+};
+
+const NUMBER_FIELDS = ["quantity", "price", "reorderLevel", "reorderQuantity"];
+
+const normalizeHeader = (header) =>
+  HEADERS[header.toLowerCase().replace(/[\s_-]/g, "")] || null;
+
+// maps a csv record onto item fields, converting numbers
+const toItemFields = (record) => {
+  const fields = {};
+
+  Object.entries(record).forEach(([header, value]) => {
+    const field = normalizeHeader(header);
+    if (!field || value === "") return;
+    fields[field] = NUMBER_FIELDS.includes(field) ? Number(value) : value;
+  });
+
+  return fields;
+};
+
+// checks a row against the Inventory schema rules, the category is a path
+// like "Electronics > Phones" here and is resolved separately
+// rows updating an existing item only need the fields they supply
+const validateRow = (fields, userId, existing) => {
+  const doc = new Inventory({
+    ...fields,
+    category: undefined,
+    createdBy: userId,
+  });
+  const result = existing
+    ? doc.validateSync(Object.keys(fields).filter((f) => f !== "category"))
+    : doc.validateSync({ pathsToSkip: ["category"] });
+  const errors = result
+    ? Object.values(result.errors).map((error) =>
+        error.name === "CastError"
+          ? `${error.path} must be a number`
+          : error.message
+      )
+    : [];
+
+  if (!existing && !fields.category) {
+    errors.push("Category is required");
+  }
+
+  if (fields.quantity !== undefined && !Number.isInteger(fields.quantity)) {
+    errors.push("Quantity must be a whole number");
+  }
+
+  return errors;
+};
+
+// rows with a sku match on it, the rest on name and category
+const findExisting = (fields, category) => {
+  if (fields.sku) {
+    return Inventory.findOne({
+      sku: normalizeSku(fields.sku),
+      deletedAt: null,
+    });
+  }
+  if (!category) return null;
+
+  return Inventory.findOne({
+    name: fields.name,
+    category: category._id,
+    deletedAt: null,
+  }).collation({ locale: "en", strength: 2 });
+};
+
+// IMPORT ITEMS
+// upserts items from an uploaded csv, ?dryRun=true only reports
+export const importItems = async (req, res) => {
+  const user = req.user;
+  const dryRun = req.query.dryRun === "true";
+
+  if (!req.file) {
+    return res.status(400).json({ message: "CSV file is required" });
+  }
+
+  let records;
+  try {
+    records = parse(req.file.buffer, {
+      bom: true,
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (err) {
+    return res.status(400).json({ message: `Invalid CSV: ${err.message}` });
+  }
+
+  try {
+    const rows = [];
+    const seen = new Set();
+
+    for (const [index, record] of records.entries()) {
+      // header is line 1, so data starts on line 2
+      const fields = toItemFields(record);
+      const row = { row: index + 2, name: fields.name };
+
+      let category = fields.category
+        ? await findCategoryPath(fields.category)
+        : null;
+      const existing = await findExisting(fields, category);
+      const errors = validateRow(fields, user.id, existing);
+
+      const key = fields.sku
+        ? normalizeSku(fields.sku)
+        : `${fields.name}|${fields.category}`.toLowerCase();
+      if (errors.length === 0 && seen.has(key)) {
+        errors.push("Duplicate of an earlier row in this file");
+      }
+      seen.add(key);
+
+      if (errors.length > 0) {
+        rows.push({ ...row, action: "error", errors });
+        continue;
+      }
+
+      const conflict = await findCodeConflict(fields, {
+        itemId: existing?._id,
+      });
+      if (conflict) {
+        rows.push({ ...row, action: "error", errors: [conflict] });
+        continue;
+      }
+      row.action = existing ? "update" : "create";
+
+      if (!dryRun) {
+        try {
+          // categories named in the file are created when missing
+          if (fields.category && !category) {
+            category = await findCategoryPath(fields.category, {
+              create: true,
+              userId: user.id,
+            });
+          }
+          if (category) fields.category = category._id;
+
+          if (existing) {
+            const { quantity, ...updates } = fields;
+            const previous = existing.toObject();
+
+            // the field changes and the stock level change are saved
+            // together, a failing movement leaves the item untouched
+            const result = await runInTransaction(async (session) => {
+              existing.set(updates);
+              // bumps the version so open edit forms see the import
+              existing.increment();
+              await existing.save({ session });
+
+              // stock level changes go through the ledger
+              const change =
+                (quantity ?? previous.quantity) - previous.quantity;
+              if (change === 0) return null;
+
+              return applyMovement(session, {
+                itemId: existing._id,
+                type: "adjustment",
+                reason: "correction",
+                quantity: change,
+                note: "CSV import",
+                userId: user.id,
+              });
+            });
+
+            checkReorderThreshold(previous, existing);
+            if (result) checkMovementThresholds([result]);
+            await recordAudit({
+              req,
+              action: "item.update",
+              targetType: "Inventory",
+              target: existing,
+              before: previous,
+              after: result?.item || existing,
+            });
+          } else {
+            const item = await Inventory.create({
+              ...fields,
+              createdBy: user.id,
+            });
+            await recordOpeningBalance(item, user.id);
+            checkReorderThreshold(null, item);
+            await recordAudit({
+              req,
+              action: "item.create",
+              targetType: "Inventory",
+              target: item,
+              after: item,
+            });
+          }
+        } catch (err) {
+          row.action = "error";
+          row.errors = [err.message];
+        }
+      }
+
+      rows.push(row);
+    }
+
+    const count = (action) => rows.filter((r) => r.action === action).length;
+
+    return res.status(200).json({
+      message: dryRun ? "Import preview ready." : "Import completed.",
+      dryRun,
+      summary: {
+        total: rows.length,
+        created: count("create"),
+        updated: count("update"),
+        failed: count("error"),
+      },
+      rows,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
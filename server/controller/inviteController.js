@@ -0,0 +1,225 @@
+// importing all packages
+import bcrypt from "bcryptjs";
+
+// importing models
+import Invite from "../models/Invite.js";
+import Role from "../models/Role.js";
+import User, { MIN_PASSWORD_LENGTH } from "../models/User.js";
+
+// importing helpers
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { recordAudit } from "../utils/audit.js";
+
+// hours an invite link stays valid
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// an invite that is unused and not expired
+const findOpenInvite = (token) =>
+  Invite.findOne({
+    tokenHash: hashToken(token || ""),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+// CREATE INVITE
+// the token is only returned here, the database keeps its hash
+export const createInvite = async (req, res) => {
+  const { email, role = "staff" } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ message: "User already exists!" });
+    }
+
+    if (!(await Role.exists({ name: role.toLowerCase() }))) {
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+    }
+
+    if (!(await Role.canGrant(req.user.role, role))) {
+      return res.status(403).json({
+        message: "You can't grant a role with more access than yours",
+      });
+    }
+
+    // a new invite replaces any earlier one for the same address
+    await Invite.deleteMany({ email: normalizedEmail, acceptedAt: null });
+
+    const token = generateToken();
+    const invite = await Invite.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+      invitedBy: req.user.id,
+    });
+
+    await recordAudit({
+      req,
+      action: "user.invite",
+      targetType: "Invite",
+      target: invite,
+      after: { email: invite.email, role: invite.role },
+    });
+
+    return res.status(200).json({
+      message: "Invite created successfully.",
+      token,
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET PENDING INVITES
+export const getPendingInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find({
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-tokenHash")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({ invites });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REVOKE INVITE
+export const deleteInvite = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const invite = await Invite.findOneAndDelete({ _id: id, acceptedAt: null });
+
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    await recordAudit({
+      req,
+      action: "user.invite.revoke",
+      targetType: "Invite",
+      target: invite,
+      before: { email: invite.email, role: invite.role },
+    });
+
+    return res.status(200).json({ message: "Invite revoked." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET INVITE BY TOKEN
+// lets the accept page show who the invite is for
+export const getInvite = async (req, res) => {
+  try {
+    const invite = await findOpenInvite(req.query.token);
+
+    if (!invite) {
+      return res
+        .status(404)
+        .json({ message: "This invite is invalid or has expired" });
+    }
+
+    return res.status(200).json({
+      invite: { email: invite.email, role: invite.role },
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// ACCEPT INVITE
+export const acceptInvite = async (req, res) => {
+  const { token, name, password } = req.body;
+
+  if (!name || !password) {
+    return res.status(400).json({ message: "Name and password are required" });
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = await runInTransaction(async (session) => {
+      // claiming the invite first makes it single use
+      const invite = await Invite.findOneAndUpdate(
+        {
+          tokenHash: hashToken(token || ""),
+          acceptedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { acceptedAt: new Date() },
+        { new: true, session }
+      );
+
+      if (!invite) return null;
+
+      const [created] = await User.create(
+        [
+          {
+            name,
+            email: invite.email,
+            password: hashedPassword,
+            role: invite.role,
+          },
+        ],
+        { session }
+      );
+      return created;
+    });
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "This invite is invalid or has expired" });
+    }
+
+    // the invitee is the actor of their own sign up
+    req.user = { id: user._id };
+    await recordAudit({
+      req,
+      action: "user.accept-invite",
+      targetType: "User",
+      target: user,
+      after: user,
+    });
+
+    return res.status(200).json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+      message: "Account created, you can now log in.",
+    });
+  } catch (err) {
+    // the address was registered after the invite went out
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "User already exists!" });
+    }
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -1,26 +1,129 @@
 // importing inventory model
 import Inventory from "./../models/Inventory.js";
+import StockAlert from "./../models/StockAlert.js";
+import StockLevel from "./../models/StockLevel.js";
+import Variant from "./../models/Variant.js";
+import Category from "./../models/Category.js";
+import Lot from "./../models/Lot.js";
+import SerialUnit from "./../models/SerialUnit.js";
+
+// days an item stays in the trash before it may be purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// importing stock ledger helper
+import { recordOpeningBalance } from "../utils/stockLedger.js";
+import { checkReorderThreshold } from "../utils/stockAlerts.js";
+import { buildItemQuery } from "../utils/itemQuery.js";
+import { recordAudit } from "../utils/audit.js";
+import { findByCode, findCodeConflict } from "../utils/productCodes.js";
+
+// adds the per-location stock breakdown and the variants to every item
+const withLocationBreakdown = async (items) => {
+  const levels = await StockLevel.find({
+    item: { $in: items.map((item) => item._id) },
+    quantity: { $gt: 0 },
+  }).populate("location", "name code");
+
+  const variants = await Variant.find({
+    item: { $in: items.map((item) => item._id) },
+  }).sort({ name: 1 });
+
+  return items.map((item) => {
+    const stockByLocation = levels
+      .filter((level) => level.item.equals(item._id))
+      .map((level) => ({ location: level.location, quantity: level.quantity }));
+    const assigned = stockByLocation.reduce((sum, l) => sum + l.quantity, 0);
+
+    return {
+      ...item.toObject(),
+      stockByLocation,
+      unassignedQuantity: item.quantity - assigned,
+      onHand: item.quantity,
+      reserved: item.reserved || 0,
+      available: item.available,
+      variants: variants.filter((variant) => variant.item.equals(item._id)),
+    };
+  });
+};
+
+// fields an item update may change
+const EDITABLE_FIELDS = [
+  "name",
+  "category",
+  "sku",
+  "barcode",
+  "price",
+  "reorderLevel",
+  "reorderQuantity",
+  "serialized",
+];
+
+// edits of the item details bump the version (__v), stock movements do not
+const itemETag = (item) => `"${item.__v}"`;
+
+// reads the version the client last saw from the body or an If-Match header,
+// "*" matches any version
+const parseVersion = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (String(value).trim() === "*") return undefined;
+  const version = Number(String(value).replace(/^W\//, "").replace(/"/g, ""));
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+};
 
 // CREATE ITEM
 export const createItem = async (req, res) => {
-  const { name, category, quantity, price } = req.body;
+  const {
+    name,
+    category,
+    sku,
+    barcode,
+    quantity,
+    price,
+    reorderLevel,
+    reorderQuantity,
+    serialized,
+  } = req.body;
 
   const user = req.user;
 
-  if (user.role !== "admin") {
-    return res.status(403).json({ message: "Access denied. Admins only" });
+  // serial units bring their own stock in, one receipt per serial number
+  if (serialized && Number(quantity) > 0) {
+    return res.status(400).json({
+      message: "Serialized items start empty, receive their serial numbers",
+    });
   }
 
   try {
+    if (category && !(await Category.exists({ _id: category }))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    const conflict = await findCodeConflict({ sku, barcode });
+    if (conflict) return res.status(400).json({ message: conflict });
+
     const item = new Inventory({
       name,
       category,
+      sku,
+      barcode,
       quantity,
       price,
+      reorderLevel,
+      reorderQuantity,
+      serialized,
       createdBy: user.id,
     });
 
     await item.save();
+    await recordOpeningBalance(item, user.id);
+    checkReorderThreshold(null, item);
+    await recordAudit({
+      req,
+      action: "item.create",
+      targetType: "Inventory",
+      target: item,
+      after: item,
+    });
 
     return res.status(200).json({ message: "Item created successfully", item });
   } catch (err) {
@@ -30,46 +133,15 @@ export const createItem = async (req, res) => {
 
 // GET ITEMS
 export const getAllItems = async (req, res) => {
-  const {
-    search,
-    category,
-    minPrice,
-    maxPrice,
-    maxQty,
-    minQty,
-    page = 1,
-    limit = 10,
-    sort = "createdAt",
-    order = "desc",
-  } = req.query;
-
-  const query = {};
-
-  if (search) {
-    query.name = { $regex: search, $options: "i" };
-  }
-
-  if (category) {
-    query.category = { $regex: category, $options: "i" };
-  }
-
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = Number(minPrice);
-    if (maxPrice) query.price.$lte = Number(maxPrice);
-  }
-
-  if (minQty || maxQty) {
-    query.quantity = {};
-    if (minQty) query.quantity.$gte = Number(minQty);
-    if (maxQty) query.quantity.$lte = Number(maxQty);
-  }
+  const { page = 1, limit = 10 } = req.query;
 
   const skip = (Number(page) - 1) * Number(limit);
-  const sortOptions = { [sort]: order === "asc" ? 1 : -1 };
 
   try {
+    const { query, sortOptions } = await buildItemQuery(req.query);
+
     const items = await Inventory.find(query)
+      .populate("category", "name")
       .populate("createdBy", "name email")
       .sort(sortOptions)
       .skip(skip)
@@ -80,32 +152,206 @@ export const getAllItems = async (req, res) => {
       totalItems: total,
       currentPage: Number(page),
       totalPages: Math.ceil(total / limit),
-      items,
+      items: await withLocationBreakdown(items),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET LOW STOCK ITEMS
+export const getLowStockItems = async (req, res) => {
+  try {
+    const items = await Inventory.find({
+      deletedAt: null,
+      $expr: { $lte: ["$quantity", "$reorderLevel"] },
+    })
+      .populate("category", "name")
+      .populate("createdBy", "name email")
+      .sort({ quantity: 1 });
+
+    // attach the open alert so the panel can show how long it has been low
+    const alerts = await StockAlert.find({
+      item: { $in: items.map((item) => item._id) },
+      resolvedAt: null,
+    }).sort({ createdAt: 1 });
+
+    const alertSince = {};
+    alerts.forEach((alert) => {
+      alertSince[alert.item] ??= alert.createdAt;
+    });
+
+    return res.status(200).json({
+      totalItems: items.length,
+      items: items.map((item) => ({
+        ...item.toObject(),
+        shortfall: item.reorderLevel - item.quantity,
+        alertSince: alertSince[item._id] || null,
+      })),
     });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
 };
 
+// LOOKUP ITEM BY CODE
+// exact sku or barcode match, e.g. from a scanner
+export const lookupItem = async (req, res) => {
+  const { code } = req.query;
+
+  if (!code) {
+    return res.status(400).json({ message: "A SKU or barcode is required" });
+  }
+
+  try {
+    const match = await findByCode(code);
+
+    if (!match) {
+      return res
+        .status(404)
+        .json({ message: `No item or variant matches "${code}"` });
+    }
+
+    await match.item.populate("category", "name");
+    const [item] = await withLocationBreakdown([match.item]);
+    res.set("ETag", itemETag(match.item));
+    return res.status(200).json({ item, variant: match.variant });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET ITEM
+// the ETag carries the version to send back with an update
+export const getItem = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const found = await Inventory.findOne({
+      _id: id,
+      deletedAt: null,
+    }).populate("category", "name");
+
+    if (!found) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const [item] = await withLocationBreakdown([found]);
+    res.set("ETag", itemETag(found));
+    return res.status(200).json({ item });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// answers a stale edit with the item as it is now
+const itemConflict = async (res, item) => {
+  await item.populate("category", "name");
+  res.set("ETag", itemETag(item));
+  return res.status(409).json({
+    message: "Item was changed by someone else, review the latest version",
+    item,
+  });
+};
+
 // UPDATE ITEMS
 export const updateItem = async (req, res) => {
   const { id } = req.params;
-  const user = req.user;
+  const { quantity, version } = req.body;
+
+  // only the item details can be edited here, stock through the ledger,
+  // reservations through sales orders and the trash through delete/restore
+  const updates = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+      (field) => [field, req.body[field]]
+    )
+  );
 
-  if (user.role !== "admin") {
-    return res.status(403).json({ message: "Access denied. Admins only" });
+  // without a version the edit is applied to whatever is stored
+  const expectedVersion = parseVersion(version ?? req.get("If-Match"));
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ message: "Invalid item version" });
+  }
+
+  // stock levels only change through the movement ledger
+  if (quantity !== undefined) {
+    return res.status(400).json({
+      message: "Quantity can only be changed through stock movements",
+    });
   }
 
+  // an empty sku or barcode removes it
+  const unset = {};
+  ["sku", "barcode"].forEach((field) => {
+    if (updates[field] === "") {
+      unset[field] = 1;
+      delete updates[field];
+    }
+  });
+
   try {
-    const updatedItem = await Inventory.findByIdAndUpdate(id, req.body, {
-      new: true,
-      runValidators: true,
+    const previousItem = await Inventory.findOne({ _id: id, deletedAt: null });
+
+    if (!previousItem) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== previousItem.__v) {
+      return itemConflict(res, previousItem);
+    }
+
+    if (
+      updates.serialized !== undefined &&
+      Boolean(updates.serialized) !== previousItem.serialized &&
+      previousItem.quantity > 0
+    ) {
+      return res.status(400).json({
+        message: "Serial tracking can only be switched while out of stock",
+      });
+    }
+
+    if (
+      updates.category &&
+      !(await Category.exists({ _id: updates.category }))
+    ) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    const conflict = await findCodeConflict(updates, {
+      itemId: previousItem._id,
     });
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    // only applies if nobody else edited the item since it was read
+    const updatedItem = await Inventory.findOneAndUpdate(
+      { _id: id, deletedAt: null, __v: previousItem.__v },
+      {
+        ...updates,
+        ...(Object.keys(unset).length && { $unset: unset }),
+        $inc: { __v: 1 },
+      },
+      { new: true, runValidators: true }
+    );
 
     if (!updatedItem) {
-      return res.status(404).json({ message: "Item not found" });
+      const currentItem = await Inventory.findOne({ _id: id, deletedAt: null });
+      if (!currentItem) {
+        return res.status(404).json({ message: "Item not found" });
+      }
+      return itemConflict(res, currentItem);
     }
 
+    checkReorderThreshold(previousItem, updatedItem);
+    await recordAudit({
+      req,
+      action: "item.update",
+      targetType: "Inventory",
+      target: updatedItem,
+      before: previousItem,
+      after: updatedItem,
+    });
+
+    res.set("ETag", itemETag(updatedItem));
     return res
       .status(200)
       .json({ message: "Item updated successfully.", item: updatedItem });
@@ -114,23 +360,131 @@ export const updateItem = async (req, res) => {
   }
 };
 
-// DELETE ITEM
+// DELETE ITEM (moves it to the trash)
 export const deleteItem = async (req, res) => {
   const { id } = req.params;
   const user = req.user;
 
-  if (user.role !== "admin") {
-    return res.status(403).json({ message: "Access denied. Admins only" });
+  try {
+    const item = await Inventory.findOne({ _id: id, deletedAt: null });
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    if (item.reserved > 0) {
+      return res.status(400).json({
+        message: "Item is reserved for open sales orders, cancel them first",
+      });
+    }
+
+    const previousItem = item.toObject();
+    item.deletedAt = new Date();
+    item.deletedBy = user.id;
+    await item.save();
+
+    await recordAudit({
+      req,
+      action: "item.delete",
+      targetType: "Inventory",
+      target: item,
+      before: previousItem,
+      after: item,
+    });
+
+    return res.status(200).json({ message: "Item moved to trash." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
   }
+};
 
+// GET TRASHED ITEMS
+export const getTrashedItems = async (req, res) => {
   try {
-    const deletedItem = await Inventory.findByIdAndDelete(id);
+    const items = await Inventory.find({ deletedAt: { $ne: null } })
+      .populate("category", "name")
+      .populate("deletedBy", "name email")
+      .sort({ deletedAt: -1 });
 
-    if (!deletedItem) {
-      return res.status(404).json({ message: "Item not found" });
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    return res.status(200).json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      items: items.map((item) => ({
+        ...item.toObject(),
+        purgeableAt: new Date(item.deletedAt.getTime() + retentionMs),
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// RESTORE ITEM
+export const restoreItem = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const item = await Inventory.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found in trash" });
+    }
+
+    const previousItem = item.toObject();
+    item.deletedAt = null;
+    item.deletedBy = null;
+    await item.save();
+
+    await recordAudit({
+      req,
+      action: "item.restore",
+      targetType: "Inventory",
+      target: item,
+      before: previousItem,
+      after: item,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Item restored successfully.", item });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// PURGE TRASH
+// permanently deletes items that have been in the trash past the retention window
+export const purgeTrash = async (req, res) => {
+  const cutoff = new Date(
+    Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  try {
+    const items = await Inventory.find({ deletedAt: { $lte: cutoff } });
+    const ids = items.map((item) => item._id);
+
+    await Inventory.deleteMany({ _id: { $in: ids } });
+    await StockLevel.deleteMany({ item: { $in: ids } });
+    await StockAlert.deleteMany({ item: { $in: ids } });
+    await Variant.deleteMany({ item: { $in: ids } });
+    await Lot.deleteMany({ item: { $in: ids } });
+    await SerialUnit.deleteMany({ item: { $in: ids } });
+
+    for (const item of items) {
+      await recordAudit({
+        req,
+        action: "item.purge",
+        targetType: "Inventory",
+        target: item,
+        before: item,
+      });
     }
 
-    return res.status(200).json({ message: "Item deleted successfully." });
+    return res.status(200).json({
+      message: `${ids.length} item(s) permanently deleted.`,
+      purged: ids.length,
+    });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
@@ -0,0 +1,106 @@
+// importing models
+import Location from "../models/Location.js";
+import StockLevel from "../models/StockLevel.js";
+
+// CREATE LOCATION
+export const createLocation = async (req, res) => {
+  const { name, code, description } = req.body;
+  const user = req.user;
+
+  try {
+    const existingLocation = await Location.findOne({ name });
+    if (existingLocation)
+      return res.status(400).json({ message: "Location already exists!" });
+
+    const location = await Location.create({
+      name,
+      code,
+      description,
+      createdBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Location created successfully", location });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET LOCATIONS
+export const getAllLocations = async (req, res) => {
+  try {
+    const locations = await Location.find().sort({ name: 1 });
+
+    // total units held at every location
+    const totals = await StockLevel.aggregate([
+      { $group: { _id: "$location", units: { $sum: "$quantity" } } },
+    ]);
+    const unitsByLocation = Object.fromEntries(
+      totals.map((total) => [String(total._id), total.units])
+    );
+
+    return res.status(200).json({
+      locations: locations.map((location) => ({
+        ...location.toObject(),
+        totalUnits: unitsByLocation[location._id] || 0,
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE LOCATION
+export const updateLocation = async (req, res) => {
+  const { id } = req.params;
+  const { name, code, description } = req.body;
+
+  try {
+    const updatedLocation = await Location.findByIdAndUpdate(
+      id,
+      { name, code, description },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedLocation) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    return res.status(200).json({
+      message: "Location updated successfully.",
+      location: updatedLocation,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE LOCATION
+export const deleteLocation = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const holdsStock = await StockLevel.exists({
+      location: id,
+      quantity: { $gt: 0 },
+    });
+    if (holdsStock) {
+      return res.status(400).json({
+        message: "Location still holds stock. Transfer it out first.",
+      });
+    }
+
+    const deletedLocation = await Location.findByIdAndDelete(id);
+
+    if (!deletedLocation) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    await StockLevel.deleteMany({ location: id });
+
+    return res.status(200).json({ message: "Location deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
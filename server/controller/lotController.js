@@ -0,0 +1,65 @@
+// importing models
+import Lot from "../models/Lot.js";
+import Inventory from "../models/Inventory.js";
+
+// importing stock helpers
+import { byExpiry } from "../utils/stockLedger.js";
+
+// GET ITEM LOTS
+// lots still holding stock, in the order they will be issued
+export const getItemLots = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const item = await Inventory.findById(id);
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const lots = (await Lot.find({ item: id, quantity: { $gt: 0 } })).sort(
+      byExpiry
+    );
+
+    const inLots = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    return res
+      .status(200)
+      .json({ lots, unlottedQuantity: item.quantity - inLots });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET EXPIRING LOTS
+// lots with stock that expire within the next ?days= days (default 30),
+// lots that have already expired are included
+export const getExpiringLots = async (req, res) => {
+  const days = Number(req.query.days ?? 30);
+
+  if (!Number.isInteger(days) || days < 0) {
+    return res
+      .status(400)
+      .json({ message: "days must be a non-negative whole number" });
+  }
+
+  const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  try {
+    const lots = await Lot.find({
+      quantity: { $gt: 0 },
+      expiryDate: { $ne: null, $lte: until },
+    })
+      .populate({
+        path: "item",
+        select: "name sku price category deletedAt",
+        populate: { path: "category", select: "name" },
+      })
+      .sort({ expiryDate: 1 });
+
+    // lots of items in the trash are not worth chasing
+    const active = lots.filter((lot) => lot.item && !lot.item.deletedAt);
+
+    return res.status(200).json({ days, until, lots: active });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
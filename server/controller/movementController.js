@@ -0,0 +1,104 @@
+// importing models
+import StockMovement from "../models/StockMovement.js";
+import Inventory from "../models/Inventory.js";
+
+// importing stock ledger helper
+import { recordMovement, transferStock } from "../utils/stockLedger.js";
+
+// CREATE MOVEMENT (receipt / issue / adjustment)
+export const createMovement = async (req, res) => {
+  const { id } = req.params;
+  const {
+    type,
+    quantity,
+    reason,
+    note,
+    location,
+    variant,
+    lotNumber,
+    expiryDate,
+  } = req.body;
+  const user = req.user;
+
+  try {
+    const { item, movement } = await recordMovement({
+      itemId: id,
+      type,
+      quantity,
+      reason,
+      note,
+      locationId: location,
+      variantId: variant,
+      lotNumber,
+      expiryDate,
+      userId: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Stock movement recorded.", item, movement });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// TRANSFER STOCK BETWEEN LOCATIONS
+export const transferItemStock = async (req, res) => {
+  const { id } = req.params;
+  const { from, to, quantity, note } = req.body;
+  const user = req.user;
+
+  try {
+    const { item, movements } = await transferStock({
+      itemId: id,
+      fromLocationId: from,
+      toLocationId: to,
+      quantity,
+      note,
+      userId: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Stock transferred successfully.", item, movements });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// GET ITEM MOVEMENTS
+export const getItemMovements = async (req, res) => {
+  const { id } = req.params;
+  const { type, page = 1, limit = 20 } = req.query;
+
+  const query = { item: id };
+  if (type) query.type = type;
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const item = await Inventory.findById(id);
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate("performedBy", "name email")
+      .populate("location", "name code")
+      .populate("variant", "name sku")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await StockMovement.countDocuments(query);
+    return res.status(200).json({
+      item: { id: item._id, name: item.name, quantity: item.quantity },
+      totalMovements: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      movements,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
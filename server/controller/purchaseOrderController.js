@@ -0,0 +1,285 @@
+// importing models
+import PurchaseOrder from "../models/PurchaseOrder.js";
+import Inventory from "../models/Inventory.js";
+import Supplier from "../models/Supplier.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  checkMovementThresholds,
+  StockError,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { normalizeSerials, receiveSerialUnits } from "../utils/serials.js";
+
+// keeps only the editable fields of each requested line
+const toLines = (lines = []) =>
+  lines.map(({ item, quantity, unitCost }) => ({
+    item,
+    quantity: Number(quantity),
+    unitCost: Number(unitCost),
+  }));
+
+const populateOrder = (query) =>
+  query
+    .populate("supplier", "name email")
+    .populate({
+      path: "lines.item",
+      select: "name category quantity serialized",
+      populate: { path: "category", select: "name" },
+    })
+    .populate("createdBy", "name email");
+
+// CREATE PURCHASE ORDER (draft)
+export const createPurchaseOrder = async (req, res) => {
+  const { supplier, lines, expectedDate, notes } = req.body;
+  const user = req.user;
+
+  try {
+    const supplierExists = await Supplier.exists({ _id: supplier });
+    if (!supplierExists) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    const order = await PurchaseOrder.create({
+      supplier,
+      lines: toLines(lines),
+      expectedDate,
+      notes,
+      createdBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Purchase order created successfully", order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET PURCHASE ORDERS
+export const getAllPurchaseOrders = async (req, res) => {
+  const { status, supplier, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (supplier) query.supplier = supplier;
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const orders = await populateOrder(PurchaseOrder.find(query))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await PurchaseOrder.countDocuments(query);
+    return res.status(200).json({
+      totalOrders: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      orders,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET PURCHASE ORDER
+export const getPurchaseOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await populateOrder(PurchaseOrder.findById(id));
+
+    if (!order) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+
+    return res.status(200).json({ order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE PURCHASE ORDER (draft only)
+export const updatePurchaseOrder = async (req, res) => {
+  const { id } = req.params;
+  const { supplier, lines, expectedDate, notes } = req.body;
+
+  try {
+    const order = await PurchaseOrder.findById(id);
+
+    if (!order) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+
+    if (order.status !== "draft") {
+      return res
+        .status(400)
+        .json({ message: "Only draft purchase orders can be edited" });
+    }
+
+    if (supplier !== undefined) order.supplier = supplier;
+    if (lines !== undefined) order.lines = toLines(lines);
+    if (expectedDate !== undefined) order.expectedDate = expectedDate;
+    if (notes !== undefined) order.notes = notes;
+
+    await order.save();
+
+    return res
+      .status(200)
+      .json({ message: "Purchase order updated successfully.", order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// SEND PURCHASE ORDER (draft -> sent)
+export const sendPurchaseOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { _id: id, status: "draft" },
+      { status: "sent", sentAt: new Date() },
+      { new: true }
+    );
+
+    if (!order) {
+      return res
+        .status(400)
+        .json({ message: "Only draft purchase orders can be sent" });
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Purchase order marked as sent.", order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// RECEIVE PURCHASE ORDER
+// body: { lines: [{ lineId, quantity, lotNumber, expiryDate, serialNumbers }],
+// location }, serialized items need one serial number per unit received
+export const receivePurchaseOrder = async (req, res) => {
+  const { id } = req.params;
+  const { lines = [], location } = req.body;
+  const user = req.user;
+
+  try {
+    const { order, results } = await runInTransaction(async (session) => {
+      const order = await PurchaseOrder.findById(id).session(session);
+
+      if (!order) throw new StockError("Purchase order not found", 404);
+
+      if (!["sent", "partially_received"].includes(order.status)) {
+        throw new StockError("Only sent purchase orders can be received");
+      }
+
+      const received = lines.filter((line) => Number(line.quantity) > 0);
+      if (received.length === 0) {
+        throw new StockError("Nothing to receive");
+      }
+
+      const results = [];
+      for (const {
+        lineId,
+        quantity,
+        lotNumber,
+        expiryDate,
+        serialNumbers,
+      } of received) {
+        const line = order.lines.id(lineId);
+        if (!line) throw new StockError("Purchase order line not found", 404);
+
+        const outstanding = line.quantity - line.receivedQuantity;
+        if (Number(quantity) > outstanding) {
+          throw new StockError(
+            `Cannot receive more than the ${outstanding} outstanding units`
+          );
+        }
+
+        const item = await Inventory.findById(line.item).session(session);
+        if (!item) throw new StockError("Item not found", 404);
+
+        const note = `Received on ${order.orderNumber}`;
+        if (item.serialized) {
+          const serials = normalizeSerials(serialNumbers);
+          if (serials.length !== Number(quantity)) {
+            throw new StockError(
+              `"${item.name}" needs ${quantity} serial numbers, ${serials.length} given`
+            );
+          }
+
+          const { result } = await receiveSerialUnits(session, {
+            item,
+            serials,
+            locationId: location,
+            note,
+            userId: user.id,
+          });
+          results.push(result);
+        } else {
+          results.push(
+            await applyMovement(session, {
+              itemId: line.item,
+              type: "receipt",
+              reason: "purchase",
+              quantity,
+              note,
+              locationId: location,
+              lotNumber,
+              expiryDate,
+              userId: user.id,
+            })
+          );
+        }
+        line.receivedQuantity += Number(quantity);
+      }
+
+      const complete = order.lines.every(
+        (line) => line.receivedQuantity >= line.quantity
+      );
+      order.status = complete ? "received" : "partially_received";
+      if (complete) order.receivedAt = new Date();
+
+      await order.save({ session });
+      return { order, results };
+    });
+
+    checkMovementThresholds(results);
+
+    return res.status(200).json({ message: "Purchase order received.", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// DELETE PURCHASE ORDER (draft only)
+export const deletePurchaseOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await PurchaseOrder.findById(id);
+
+    if (!order) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+
+    if (order.status !== "draft") {
+      return res
+        .status(400)
+        .json({ message: "Only draft purchase orders can be deleted" });
+    }
+
+    await order.deleteOne();
+
+    return res
+      .status(200)
+      .json({ message: "Purchase order deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,148 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing models
+import Inventory from "../models/Inventory.js";
+import StockSnapshot from "../models/StockSnapshot.js";
+
+// importing helpers
+import { buildItemQuery } from "../utils/itemQuery.js";
+import { categoryBranch, categoryPaths } from "../utils/categories.js";
+import { startOfDay } from "../utils/snapshots.js";
+
+// trends cover this many days when no range is given
+const DEFAULT_TREND_DAYS = 30;
+
+// item count, units and value of every group
+const groupTotals = (id) => ({
+  $group: {
+    _id: id,
+    items: { $sum: 1 },
+    units: { $sum: "$quantity" },
+    value: { $sum: "$value" },
+  },
+});
+
+// fields returned for the top and bottom items
+const ITEM_FIELDS = {
+  $project: { name: 1, sku: 1, category: 1, quantity: 1, price: 1, value: 1 },
+};
+
+// GET INVENTORY SUMMARY
+// stock value (quantity x price) overall and broken down by category and
+// creator, takes the same filters as GET /api/items
+export const getSummary = async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 5, 50);
+
+  try {
+    const { query } = await buildItemQuery(req.query);
+
+    const [summary] = await Inventory.aggregate([
+      { $match: query },
+      { $addFields: { value: { $multiply: ["$quantity", "$price"] } } },
+      {
+        $facet: {
+          totals: [groupTotals(null), { $project: { _id: 0 } }],
+          byCategory: [groupTotals("$category"), { $sort: { value: -1 } }],
+          byCreator: [
+            groupTotals("$createdBy"),
+            { $sort: { value: -1 } },
+            {
+              $lookup: {
+                from: "users",
+                localField: "_id",
+                foreignField: "_id",
+                pipeline: [{ $project: { name: 1, email: 1 } }],
+                as: "user",
+              },
+            },
+            { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+          ],
+          topItems: [{ $sort: { value: -1 } }, { $limit: limit }, ITEM_FIELDS],
+          bottomItems: [
+            { $sort: { value: 1 } },
+            { $limit: limit },
+            ITEM_FIELDS,
+          ],
+        },
+      },
+    ]);
+
+    const paths = await categoryPaths();
+    const categoryName = (id) => paths.get(String(id)) || "Uncategorized";
+    const withCategory = (item) => ({
+      ...item,
+      category: { _id: item.category, path: categoryName(item.category) },
+    });
+
+    return res.status(200).json({
+      totals: summary.totals[0] || { items: 0, units: 0, value: 0 },
+      byCategory: summary.byCategory.map(({ _id, ...group }) => ({
+        category: { _id, path: categoryName(_id) },
+        ...group,
+      })),
+      byCreator: summary.byCreator.map(({ _id, user, ...group }) => ({
+        user: user || { _id, name: "Unknown" },
+        ...group,
+      })),
+      topItems: summary.topItems.map(withCategory),
+      bottomItems: summary.bottomItems.map(withCategory),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET STOCK TRENDS
+// daily quantity and value from the stock snapshots, for one item, a
+// category including its subcategories, or the whole inventory
+export const getTrends = async (req, res) => {
+  const { itemId, category, from, to } = req.query;
+
+  const end = startOfDay(to ? new Date(to) : new Date());
+  const start = startOfDay(
+    from
+      ? new Date(from)
+      : end.getTime() - (DEFAULT_TREND_DAYS - 1) * 24 * 60 * 60 * 1000
+  );
+
+  if (isNaN(start) || isNaN(end)) {
+    return res.status(400).json({ message: "Invalid date range" });
+  }
+
+  if (itemId && !mongoose.isValidObjectId(itemId)) {
+    return res.status(400).json({ message: "Invalid item id" });
+  }
+
+  try {
+    const match = { date: { $gte: start, $lte: end } };
+    let item = null;
+
+    if (itemId) {
+      item = await Inventory.findById(itemId).select("name sku");
+      if (!item) {
+        return res.status(404).json({ message: "Item not found" });
+      }
+      match.item = item._id;
+    } else if (category) {
+      match.category = { $in: await categoryBranch(category) };
+    }
+
+    const points = await StockSnapshot.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$date",
+          quantity: { $sum: "$quantity" },
+          value: { $sum: "$value" },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: "$_id", quantity: 1, value: 1 } },
+    ]);
+
+    return res.status(200).json({ from: start, to: end, item, points });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
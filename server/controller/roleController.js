@@ -0,0 +1,143 @@
+// importing models
+import Role, { PERMISSIONS } from "../models/Role.js";
+import User from "../models/User.js";
+
+// importing helpers
+import { runInTransaction } from "../utils/transaction.js";
+
+// GET PERMISSIONS
+export const getPermissions = (req, res) => {
+  return res.status(200).json({ permissions: PERMISSIONS });
+};
+
+// GET ROLES
+export const getAllRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    return res.status(200).json({ roles });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CREATE ROLE
+export const createRole = async (req, res) => {
+  const {
+    name,
+    description,
+    permissions = [],
+    requireTwoFactor = false,
+  } = req.body;
+
+  try {
+    const existingRole = await Role.findOne({ name: name?.toLowerCase() });
+    if (existingRole)
+      return res.status(400).json({ message: "Role already exists!" });
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      requireTwoFactor,
+    });
+
+    return res.status(200).json({ message: "Role created successfully", role });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE ROLE
+export const updateRole = async (req, res) => {
+  const { id } = req.params;
+  const { name, description, permissions, requireTwoFactor } = req.body;
+
+  try {
+    const role = await Role.findById(id);
+
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    if (name !== undefined && typeof name !== "string") {
+      return res.status(400).json({ message: "Role name must be text" });
+    }
+
+    const newName = name?.trim().toLowerCase();
+    const renaming = newName !== undefined && newName !== role.name;
+
+    if (role.system && renaming) {
+      return res
+        .status(400)
+        .json({ message: "Built-in roles cannot be renamed" });
+    }
+
+    if (role.name === "admin" && permissions !== undefined) {
+      return res
+        .status(400)
+        .json({ message: "The admin role always has every permission" });
+    }
+
+    if (renaming && (await Role.exists({ name: newName }))) {
+      return res.status(400).json({ message: "Role already exists!" });
+    }
+
+    const previousName = role.name;
+    if (renaming) role.name = newName;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (requireTwoFactor !== undefined)
+      role.requireTwoFactor = requireTwoFactor;
+
+    // users keep the role name in their record, so renames are carried over
+    // in the same transaction as the role itself
+    await runInTransaction(async (session) => {
+      await role.save({ session });
+      if (renaming) {
+        await User.updateMany(
+          { role: previousName },
+          { role: newName },
+          { session }
+        );
+      }
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Role updated successfully.", role });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE ROLE
+export const deleteRole = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const role = await Role.findById(id);
+
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    if (role.system) {
+      return res
+        .status(400)
+        .json({ message: "Built-in roles cannot be deleted" });
+    }
+
+    const inUse = await User.exists({ role: role.name });
+    if (inUse) {
+      return res
+        .status(400)
+        .json({ message: "Role is still assigned to users" });
+    }
+
+    await role.deleteOne();
+
+    return res.status(200).json({ message: "Role deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,380 @@
+// importing models
+import SalesOrder from "../models/SalesOrder.js";
+import Inventory from "../models/Inventory.js";
+import Variant from "../models/Variant.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  checkMovementThresholds,
+  releaseReservation,
+  reserveStock,
+  StockError,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { issueSerialUnits, normalizeSerials } from "../utils/serials.js";
+
+// states an order can still be cancelled from, and those holding stock
+const CANCELLABLE = ["draft", "confirmed", "picked"];
+const RESERVING = ["confirmed", "picked"];
+
+// keeps only the editable fields of each requested line, the unit price
+// defaults to the variant's or item's price
+const toLines = async (lines = []) => {
+  const items = await Inventory.find({
+    _id: { $in: lines.map((line) => line.item) },
+    deletedAt: null,
+  }).select("price");
+  const variants = await Variant.find({
+    _id: { $in: lines.map((line) => line.variant).filter(Boolean) },
+  }).select("item price");
+
+  return lines.map(({ item, variant, quantity, unitPrice }) => {
+    const itemDoc = items.find((doc) => doc._id.equals(item));
+    if (!itemDoc) throw new StockError("Item not found", 404);
+
+    const variantDoc =
+      variant && variants.find((doc) => doc._id.equals(variant));
+    if (variant && !variantDoc?.item.equals(itemDoc._id)) {
+      throw new StockError("Variant not found", 404);
+    }
+
+    return {
+      item: itemDoc._id,
+      variant: variantDoc?._id || null,
+      quantity: Number(quantity),
+      unitPrice:
+        unitPrice === undefined || unitPrice === ""
+          ? (variantDoc?.price ?? itemDoc.price)
+          : Number(unitPrice),
+    };
+  });
+};
+
+// reservations are kept per item, so a variant's share is worked out from
+// the lines of the other orders holding stock
+const checkVariantStock = async (session, order) => {
+  const wanted = {};
+  order.lines
+    .filter((line) => line.variant)
+    .forEach((line) => {
+      wanted[line.variant] = (wanted[line.variant] || 0) + line.quantity;
+    });
+
+  for (const [variantId, quantity] of Object.entries(wanted)) {
+    const variant = await Variant.findById(variantId).session(session);
+    if (!variant) throw new StockError("Variant not found", 404);
+
+    const [held] = await SalesOrder.aggregate([
+      { $match: { _id: { $ne: order._id }, status: { $in: RESERVING } } },
+      { $unwind: "$lines" },
+      { $match: { "lines.variant": variant._id } },
+      { $group: { _id: null, total: { $sum: "$lines.quantity" } } },
+    ]).session(session);
+
+    const available = variant.quantity - (held?.total || 0);
+    if (available < quantity) {
+      throw new StockError(
+        `Insufficient stock for variant "${variant.name}": ${available} available, ${quantity} needed`
+      );
+    }
+  }
+};
+
+const populateOrder = (query) =>
+  query
+    .populate("lines.item", "name sku quantity reserved serialized")
+    .populate("lines.variant", "name sku")
+    .populate("createdBy", "name email");
+
+// CREATE SALES ORDER (draft)
+export const createSalesOrder = async (req, res) => {
+  const { customer, lines, notes } = req.body;
+  const user = req.user;
+
+  try {
+    const order = await SalesOrder.create({
+      customer,
+      lines: await toLines(lines),
+      notes,
+      createdBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Sales order created successfully", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// GET SALES ORDERS
+export const getAllSalesOrders = async (req, res) => {
+  const { status, customer, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (customer) query.customer = { $regex: customer, $options: "i" };
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const orders = await populateOrder(SalesOrder.find(query))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await SalesOrder.countDocuments(query);
+    return res.status(200).json({
+      totalOrders: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      orders,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET SALES ORDER
+export const getSalesOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await populateOrder(SalesOrder.findById(id));
+
+    if (!order) {
+      return res.status(404).json({ message: "Sales order not found" });
+    }
+
+    return res.status(200).json({ order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE SALES ORDER (draft only)
+export const updateSalesOrder = async (req, res) => {
+  const { id } = req.params;
+  const { customer, lines, notes } = req.body;
+
+  try {
+    const order = await SalesOrder.findById(id);
+
+    if (!order) {
+      return res.status(404).json({ message: "Sales order not found" });
+    }
+
+    if (order.status !== "draft") {
+      return res
+        .status(400)
+        .json({ message: "Only draft sales orders can be edited" });
+    }
+
+    if (customer !== undefined) order.customer = customer;
+    if (lines !== undefined) order.lines = await toLines(lines);
+    if (notes !== undefined) order.notes = notes;
+
+    await order.save();
+
+    return res
+      .status(200)
+      .json({ message: "Sales order updated successfully.", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// CONFIRM SALES ORDER (draft -> confirmed)
+// reserves the ordered stock, fails as a whole when any line is short
+export const confirmSalesOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await runInTransaction(async (session) => {
+      const order = await SalesOrder.findById(id).session(session);
+
+      if (!order) throw new StockError("Sales order not found", 404);
+
+      if (order.status !== "draft") {
+        throw new StockError("Only draft sales orders can be confirmed");
+      }
+
+      await checkVariantStock(session, order);
+      for (const line of order.lines) {
+        await reserveStock(session, line.item, line.quantity);
+      }
+
+      order.status = "confirmed";
+      order.confirmedAt = new Date();
+      await order.save({ session });
+      return order;
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Sales order confirmed, stock reserved.", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// PICK SALES ORDER (confirmed -> picked)
+export const pickSalesOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await SalesOrder.findOneAndUpdate(
+      { _id: id, status: "confirmed" },
+      { status: "picked", pickedAt: new Date() },
+      { new: true }
+    );
+
+    if (!order) {
+      return res
+        .status(400)
+        .json({ message: "Only confirmed sales orders can be picked" });
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Sales order marked as picked.", order });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// SHIP SALES ORDER (picked -> shipped)
+// body: { location, lines: [{ lineId, serialNumbers }] }, issues the reserved
+// stock through the ledger, serialized items ship the named units from
+// wherever they are kept
+export const shipSalesOrder = async (req, res) => {
+  const { id } = req.params;
+  const { location, lines = [] } = req.body;
+  const user = req.user;
+
+  try {
+    const { order, results } = await runInTransaction(async (session) => {
+      const order = await SalesOrder.findById(id).session(session);
+
+      if (!order) throw new StockError("Sales order not found", 404);
+
+      if (order.status !== "picked") {
+        throw new StockError("Only picked sales orders can be shipped");
+      }
+
+      const results = [];
+      for (const line of order.lines) {
+        const item = await Inventory.findById(line.item).session(session);
+        if (!item) throw new StockError("Item not found", 404);
+
+        const note = `Shipped on ${order.orderNumber}`;
+        if (item.serialized) {
+          const shipped = Array.isArray(lines)
+            ? lines.find((entry) => String(entry.lineId) === String(line._id))
+            : null;
+
+          results.push(
+            ...(await issueSerialUnits(session, {
+              item,
+              serials: normalizeSerials(shipped?.serialNumbers),
+              quantity: line.quantity,
+              reason: "sale",
+              assignedTo: order.customer,
+              note,
+              userId: user.id,
+              releaseReserved: true,
+            }))
+          );
+        } else {
+          results.push(
+            await applyMovement(session, {
+              itemId: line.item,
+              variantId: line.variant,
+              type: "issue",
+              reason: "sale",
+              quantity: line.quantity,
+              releaseReserved: line.quantity,
+              note,
+              locationId: location,
+              userId: user.id,
+            })
+          );
+        }
+      }
+
+      order.status = "shipped";
+      order.shippedAt = new Date();
+      await order.save({ session });
+      return { order, results };
+    });
+
+    checkMovementThresholds(results);
+
+    return res.status(200).json({ message: "Sales order shipped.", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// CANCEL SALES ORDER
+// gives any reserved stock back
+export const cancelSalesOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await runInTransaction(async (session) => {
+      const order = await SalesOrder.findById(id).session(session);
+
+      if (!order) throw new StockError("Sales order not found", 404);
+
+      if (!CANCELLABLE.includes(order.status)) {
+        throw new StockError(
+          `A ${order.status} sales order can't be cancelled`
+        );
+      }
+
+      if (RESERVING.includes(order.status)) {
+        for (const line of order.lines) {
+          await releaseReservation(session, line.item, line.quantity);
+        }
+      }
+
+      order.status = "cancelled";
+      order.cancelledAt = new Date();
+      await order.save({ session });
+      return order;
+    });
+
+    return res.status(200).json({ message: "Sales order cancelled.", order });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// DELETE SALES ORDER (draft only)
+export const deleteSalesOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await SalesOrder.findById(id);
+
+    if (!order) {
+      return res.status(404).json({ message: "Sales order not found" });
+    }
+
+    if (order.status !== "draft") {
+      return res
+        .status(400)
+        .json({ message: "Only draft sales orders can be deleted" });
+    }
+
+    await order.deleteOne();
+
+    return res
+      .status(200)
+      .json({ message: "Sales order deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
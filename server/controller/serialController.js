@@ -0,0 +1,233 @@
+// importing models
+import SerialUnit, { ON_HAND_STATUSES } from "../models/SerialUnit.js";
+import Inventory from "../models/Inventory.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  applyTransfer,
+  checkMovementThresholds,
+  StockError,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import {
+  normalizeSerial,
+  normalizeSerials,
+  receiveSerialUnits,
+} from "../utils/serials.js";
+
+// status changes a unit can go through
+const TRANSITIONS = {
+  in_stock: ["issued", "scrapped"],
+  issued: ["returned"],
+  returned: ["in_stock", "issued", "scrapped"],
+  scrapped: [],
+};
+
+// ledger movement behind each status change, none while the unit stays on hand
+const MOVEMENTS = {
+  issued: { type: "issue", reason: "consumption", quantity: 1 },
+  returned: { type: "receipt", reason: "return", quantity: 1 },
+  scrapped: { type: "adjustment", reason: "damaged", quantity: -1 },
+};
+
+// RECEIVE SERIAL UNITS
+// body: { serialNumbers, location, reason, note }, one unit per serial number
+export const receiveSerials = async (req, res) => {
+  const { id } = req.params;
+  const { serialNumbers = [], location, reason = "purchase", note } = req.body;
+  const user = req.user;
+
+  const serials = normalizeSerials(serialNumbers);
+
+  if (serials.length === 0) {
+    return res.status(400).json({ message: "No serial numbers given" });
+  }
+
+  try {
+    const { units, result } = await runInTransaction(async (session) => {
+      const item = await Inventory.findOne({
+        _id: id,
+        deletedAt: null,
+      }).session(session);
+
+      if (!item) throw new StockError("Item not found", 404);
+
+      return receiveSerialUnits(session, {
+        item,
+        serials,
+        locationId: location,
+        reason,
+        note,
+        userId: user.id,
+      });
+    });
+
+    checkMovementThresholds([result]);
+
+    return res
+      .status(200)
+      .json({ message: `${units.length} units received.`, units });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// GET ITEM SERIAL UNITS
+export const getItemSerials = async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.query;
+
+  const query = { item: id };
+  if (status) query.status = status;
+
+  try {
+    const units = await SerialUnit.find(query)
+      .select("-history")
+      .populate("location", "name code")
+      .sort({ serialNumber: 1 });
+
+    return res.status(200).json({ units });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// TRACE SERIAL NUMBER
+// the unit with its full status, location and assignee history
+export const traceSerial = async (req, res) => {
+  const serialNumber = normalizeSerial(req.params.serialNumber);
+
+  try {
+    const unit = await SerialUnit.findOne({ serialNumber })
+      .populate({
+        path: "item",
+        select: "name sku category",
+        populate: { path: "category", select: "name" },
+      })
+      .populate("location", "name code")
+      .populate("history.location", "name code")
+      .populate("history.performedBy", "name email");
+
+    if (!unit) {
+      return res.status(404).json({ message: "Serial number not found" });
+    }
+
+    return res.status(200).json({ unit });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CHANGE SERIAL STATUS
+// body: { status, location, assignedTo, reason, note }
+// issuing, returning and scrapping a unit moves the item's stock with it
+export const changeSerialStatus = async (req, res) => {
+  const serialNumber = normalizeSerial(req.params.serialNumber);
+  const { status, location, assignedTo, reason, note } = req.body;
+  const user = req.user;
+
+  try {
+    const { unit, result } = await runInTransaction(async (session) => {
+      const unit = await SerialUnit.findOne({ serialNumber }).session(session);
+
+      if (!unit) throw new StockError("Serial number not found", 404);
+
+      if (!TRANSITIONS[unit.status].includes(status)) {
+        throw new StockError(
+          `A unit that is ${unit.status.replace("_", " ")} can't become ${status}`
+        );
+      }
+
+      if (status === "issued" && !assignedTo?.trim()) {
+        throw new StockError("Say who or where the unit is issued to");
+      }
+
+      // stock leaves from where the unit is kept, returns land where asked
+      const nextLocation =
+        status === "returned" ? location || null : unit.location;
+
+      let result = null;
+      const movement = MOVEMENTS[status];
+      if (movement) {
+        result = await applyMovement(session, {
+          itemId: unit.item,
+          type: movement.type,
+          reason: reason || movement.reason,
+          quantity: movement.quantity,
+          note,
+          locationId: nextLocation,
+          serialNumbers: [unit.serialNumber],
+          userId: user.id,
+        });
+      }
+
+      unit.status = status;
+      unit.location = ON_HAND_STATUSES.includes(status) ? nextLocation : null;
+      unit.assignedTo = status === "issued" ? assignedTo : undefined;
+      unit.history.push({
+        status,
+        location: unit.location,
+        assignedTo: unit.assignedTo,
+        note,
+        movement: result?.movement._id || null,
+        performedBy: user.id,
+      });
+      await unit.save({ session });
+
+      return { unit, result };
+    });
+
+    if (result) checkMovementThresholds([result]);
+
+    return res.status(200).json({ message: "Serial unit updated.", unit });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// MOVE SERIAL UNIT
+// body: { location, note }, moves a unit on hand to another location
+export const moveSerialUnit = async (req, res) => {
+  const serialNumber = normalizeSerial(req.params.serialNumber);
+  const { location, note } = req.body;
+  const user = req.user;
+
+  try {
+    const unit = await runInTransaction(async (session) => {
+      const unit = await SerialUnit.findOne({ serialNumber }).session(session);
+
+      if (!unit) throw new StockError("Serial number not found", 404);
+
+      if (!ON_HAND_STATUSES.includes(unit.status)) {
+        throw new StockError("Only units on hand can be moved");
+      }
+
+      const { movements } = await applyTransfer(session, {
+        itemId: unit.item,
+        fromLocationId: unit.location,
+        toLocationId: location || null,
+        quantity: 1,
+        note,
+        serialNumbers: [unit.serialNumber],
+        userId: user.id,
+      });
+
+      unit.location = location || null;
+      unit.history.push({
+        status: unit.status,
+        location: unit.location,
+        note,
+        movement: movements[1]._id,
+        performedBy: user.id,
+      });
+      await unit.save({ session });
+
+      return unit;
+    });
+
+    return res.status(200).json({ message: "Serial unit moved.", unit });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
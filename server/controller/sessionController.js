@@ -0,0 +1,92 @@
+// importing Session and User models
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+
+// importing audit helper
+import { recordAudit } from "../utils/audit.js";
+
+// GET ACTIVE SESSIONS
+export const getSessions = async (req, res) => {
+  const { user } = req.query;
+
+  const query = { revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (user) query.user = user;
+
+  try {
+    const sessions = await Session.find(query)
+      .select("-tokenHash -previousTokenHash")
+      .populate("user", "name email role")
+      .sort({ lastUsedAt: -1 });
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.user.sid),
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REVOKE SESSION
+export const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    ).populate("user", "name email");
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    if (session.user) {
+      await recordAudit({
+        req,
+        action: "user.session.revoke",
+        targetType: "User",
+        target: session.user,
+      });
+    }
+
+    return res.status(200).json({ message: "Session revoked." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REVOKE ALL SESSIONS OF A USER
+export const revokeUserSessions = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const result = await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    await recordAudit({
+      req,
+      action: "user.session.revoke",
+      targetType: "User",
+      target: user,
+    });
+
+    return res.status(200).json({
+      message: `${result.modifiedCount} session(s) revoked.`,
+      revoked: result.modifiedCount,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,224 @@
+// importing models
+import StockRequest from "../models/StockRequest.js";
+import Inventory from "../models/Inventory.js";
+import Variant from "../models/Variant.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  checkMovementThresholds,
+  StockError,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { issueSerialUnits, normalizeSerials } from "../utils/serials.js";
+
+const populateRequest = (query) =>
+  query
+    .populate("item", "name sku quantity reserved serialized")
+    .populate("variant", "name sku quantity")
+    .populate("requestedBy", "name email")
+    .populate("reviewedBy", "name email");
+
+// lists requests with pagination, newest first
+const listRequests = async (query, { page = 1, limit = 10 }) => {
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const requests = await populateRequest(StockRequest.find(query))
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await StockRequest.countDocuments(query);
+  return {
+    totalRequests: total,
+    currentPage: Number(page),
+    totalPages: Math.ceil(total / limit),
+    requests,
+  };
+};
+
+// CREATE STOCK REQUEST
+// any logged in user can ask for stock, a reviewer issues it on approval
+export const createStockRequest = async (req, res) => {
+  const { item, variant, quantity, reason } = req.body;
+  const user = req.user;
+
+  try {
+    const exists = await Inventory.exists({ _id: item, deletedAt: null });
+    if (!exists) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    if (variant && !(await Variant.exists({ _id: variant, item }))) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const request = await StockRequest.create({
+      item,
+      variant: variant || null,
+      quantity,
+      reason,
+      requestedBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Stock request submitted", request });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET MY STOCK REQUESTS
+export const getMyStockRequests = async (req, res) => {
+  const { status } = req.query;
+  const user = req.user;
+
+  const query = { requestedBy: user.id };
+  if (status) query.status = status;
+
+  try {
+    return res.status(200).json(await listRequests(query, req.query));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET ALL STOCK REQUESTS
+export const getAllStockRequests = async (req, res) => {
+  const { status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  try {
+    return res.status(200).json(await listRequests(query, req.query));
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// APPROVE STOCK REQUEST
+// body: { location, note, serialNumbers }, issues the stock through the
+// ledger, serialized items issue the named units to the requester
+export const approveStockRequest = async (req, res) => {
+  const { id } = req.params;
+  const { location, note, serialNumbers } = req.body;
+  const user = req.user;
+
+  try {
+    const { request, results } = await runInTransaction(async (session) => {
+      const request = await StockRequest.findOneAndUpdate(
+        { _id: id, status: "pending" },
+        {
+          status: "approved",
+          reviewedBy: user.id,
+          reviewedAt: new Date(),
+          reviewNote: note,
+        },
+        { new: true, session }
+      );
+
+      if (!request) {
+        throw new StockError("Only pending stock requests can be approved");
+      }
+
+      const item = await Inventory.findById(request.item).session(session);
+      if (!item) throw new StockError("Item not found", 404);
+
+      const issueNote = `Stock request${request.reason ? `: ${request.reason}` : ""}`;
+      if (item.serialized) {
+        await request.populate("requestedBy", "name");
+
+        const results = await issueSerialUnits(session, {
+          item,
+          serials: normalizeSerials(serialNumbers),
+          quantity: request.quantity,
+          reason: "consumption",
+          assignedTo: request.requestedBy?.name,
+          note: issueNote,
+          userId: user.id,
+        });
+        return { request, results };
+      }
+
+      const result = await applyMovement(session, {
+        itemId: request.item,
+        variantId: request.variant,
+        type: "issue",
+        reason: "consumption",
+        quantity: request.quantity,
+        note: issueNote,
+        locationId: location,
+        userId: user.id,
+      });
+
+      return { request, results: [result] };
+    });
+
+    checkMovementThresholds(results);
+
+    return res
+      .status(200)
+      .json({ message: "Stock request approved, stock issued.", request });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// REJECT STOCK REQUEST
+export const rejectStockRequest = async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+  const user = req.user;
+
+  try {
+    const request = await StockRequest.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      {
+        status: "rejected",
+        reviewedBy: user.id,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return res
+        .status(400)
+        .json({ message: "Only pending stock requests can be rejected" });
+    }
+
+    return res.status(200).json({ message: "Stock request rejected", request });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CANCEL STOCK REQUEST
+// requesters can withdraw their own pending requests
+export const cancelStockRequest = async (req, res) => {
+  const { id } = req.params;
+  const user = req.user;
+
+  try {
+    const request = await StockRequest.findOneAndUpdate(
+      { _id: id, requestedBy: user.id, status: "pending" },
+      { status: "cancelled" },
+      { new: true }
+    );
+
+    if (!request) {
+      return res
+        .status(400)
+        .json({ message: "Only your own pending requests can be cancelled" });
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Stock request cancelled", request });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
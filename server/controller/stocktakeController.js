@@ -0,0 +1,500 @@
+// importing models
+import Stocktake from "../models/Stocktake.js";
+import Inventory from "../models/Inventory.js";
+import Category from "../models/Category.js";
+import Location from "../models/Location.js";
+import StockLevel from "../models/StockLevel.js";
+import Variant from "../models/Variant.js";
+import Role from "../models/Role.js";
+
+// importing stock helpers
+import {
+  applyMovement,
+  assignedQuantity,
+  checkMovementThresholds,
+  StockError,
+  variantQuantity,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { buildItemQuery } from "../utils/itemQuery.js";
+
+const populateStocktake = (query) =>
+  query
+    .populate({
+      path: "lines.item",
+      select: "name sku price category",
+      populate: { path: "category", select: "name" },
+    })
+    .populate("lines.variant", "name sku price")
+    .populate("lines.location", "name code")
+    .populate("lines.countedBy", "name email")
+    .populate("category", "name")
+    .populate("location", "name code")
+    .populate("createdBy", "name email")
+    .populate("approvedBy", "name email");
+
+// totals reviewers look at before approving
+const varianceSummary = (stocktake) => {
+  const counted = stocktake.lines.filter((line) => line.counted !== null);
+  const off = counted.filter((line) => line.variance !== 0);
+
+  return {
+    lines: stocktake.lines.length,
+    counted: counted.length,
+    withVariance: off.length,
+    varianceUnits: off.reduce((sum, line) => sum + line.variance, 0),
+    varianceValue: off.reduce(
+      (sum, line) =>
+        sum + line.variance * (line.variant?.price ?? line.item?.price ?? 0),
+      0
+    ),
+  };
+};
+
+// counters count blind, only reviewers see the book quantities
+const canReview = async (req) => {
+  const role = await Role.findOne({ name: req.user.role });
+  return Boolean(role && role.can("stocktakes:manage"));
+};
+
+const blindView = (stocktake) => {
+  const json = stocktake.toJSON();
+  return {
+    ...json,
+    lines: json.lines.map(
+      ({ expected, bookAtCount, variance, adjustment, movements, ...line }) =>
+        line
+    ),
+  };
+};
+
+// the lines an item is counted on: one for a location count, otherwise one
+// per variant or, without variants, one per location the stock is held at
+const linesFor = async (item, location) => {
+  if (location) return [{ item: item._id, location }];
+
+  const variants = await Variant.find({ item: item._id }).sort({ name: 1 });
+  if (variants.length > 0) {
+    const lines = variants.map((variant) => ({
+      item: item._id,
+      byVariant: true,
+      variant: variant._id,
+    }));
+    const inVariants = variants.reduce((sum, v) => sum + v.quantity, 0);
+    if (item.quantity > inVariants) {
+      lines.push({ item: item._id, byVariant: true, variant: null });
+    }
+    return lines;
+  }
+
+  const levels = await StockLevel.find({
+    item: item._id,
+    quantity: { $gt: 0 },
+  }).populate("location", "name");
+  const lines = levels
+    .sort((a, b) => a.location.name.localeCompare(b.location.name))
+    .map((level) => ({ item: item._id, location: level.location._id }));
+  const assigned = levels.reduce((sum, level) => sum + level.quantity, 0);
+  if (item.quantity > assigned || lines.length === 0) {
+    lines.push({ item: item._id, location: null });
+  }
+  return lines;
+};
+
+// what the books say a line holds right now
+const bookQuantity = async (line) => {
+  const itemId = line.item._id || line.item;
+
+  if (line.byVariant && line.variant) {
+    const variant = await Variant.findById(line.variant);
+    return variant?.quantity || 0;
+  }
+
+  if (!line.byVariant && line.location) {
+    const level = await StockLevel.findOne({
+      item: itemId,
+      location: line.location,
+    });
+    return level?.quantity || 0;
+  }
+
+  const item = await Inventory.findById(itemId);
+  const placed = line.byVariant
+    ? await variantQuantity(itemId, null)
+    : await assignedQuantity(itemId, null);
+  return (item?.quantity || 0) - placed;
+};
+
+// posts a line's adjustment where it was counted, a shortfall is taken from
+// the other side of the stock: a variant line's from the unassigned pool and
+// then the fullest locations, a location line's from the stock outside
+// variants and then the fullest variants
+const postVariance = async (session, line, params) => {
+  const change = line.adjustment;
+  const movement = {
+    ...params,
+    itemId: line.item,
+    type: "adjustment",
+    reason: "count",
+    // a count correction may write off expired lots too
+    includeExpired: true,
+  };
+  const place = (other) =>
+    line.byVariant
+      ? { variantId: line.variant, locationId: other }
+      : { variantId: other, locationId: line.location };
+
+  if (change > 0) {
+    return [
+      await applyMovement(session, {
+        ...movement,
+        ...place(null),
+        quantity: change,
+      }),
+    ];
+  }
+
+  const item = await Inventory.findById(line.item).session(session);
+  const holdings = line.byVariant
+    ? (
+        await StockLevel.find({ item: item._id, quantity: { $gt: 0 } })
+          .session(session)
+          .sort({ quantity: -1 })
+      ).map((level) => ({ id: level.location, quantity: level.quantity }))
+    : (
+        await Variant.find({ item: item._id, quantity: { $gt: 0 } })
+          .session(session)
+          .sort({ quantity: -1 })
+      ).map((variant) => ({ id: variant._id, quantity: variant.quantity }));
+  const placed = holdings.reduce((sum, holding) => sum + holding.quantity, 0);
+  const sources = [{ id: null, quantity: item.quantity - placed }, ...holdings];
+
+  const results = [];
+  let remaining = -change;
+  for (const source of sources) {
+    const take = Math.min(remaining, source.quantity);
+    if (take <= 0) continue;
+
+    results.push(
+      await applyMovement(session, {
+        ...movement,
+        ...place(source.id),
+        quantity: -take,
+      })
+    );
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    throw new StockError(
+      `Not enough stock of "${item.name}" to post the count`
+    );
+  }
+  return results;
+};
+
+// CREATE STOCKTAKE
+// body: { name, category, location }, freezes the book quantities of every
+// item in scope, serialized items are counted through their serials
+export const createStocktake = async (req, res) => {
+  const { name, category, location } = req.body;
+  const user = req.user;
+
+  if (!category && !location) {
+    return res
+      .status(400)
+      .json({ message: "Choose a category or a location to count" });
+  }
+
+  try {
+    if (category && !(await Category.exists({ _id: category }))) {
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    if (location && !(await Location.exists({ _id: location }))) {
+      return res.status(400).json({ message: "Location not found" });
+    }
+
+    const { query } = await buildItemQuery({ category, location });
+    const items = await Inventory.find({
+      ...query,
+      serialized: { $ne: true },
+    }).sort({ name: 1 });
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: "Nothing to count here" });
+    }
+
+    const lines = [];
+    for (const item of items) {
+      for (const line of await linesFor(item, location)) {
+        lines.push({ ...line, expected: await bookQuantity(line) });
+      }
+    }
+
+    const stocktake = await Stocktake.create({
+      name,
+      category: category || null,
+      location: location || null,
+      lines,
+      createdBy: user.id,
+    });
+
+    return res.status(200).json({ message: "Stocktake started", stocktake });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET STOCKTAKES
+export const getAllStocktakes = async (req, res) => {
+  const { status, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const stocktakes = await Stocktake.find(query)
+      .populate("category", "name")
+      .populate("location", "name code")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Stocktake.countDocuments(query);
+    return res.status(200).json({
+      totalStocktakes: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      // progress only, the lines come with the single stocktake
+      stocktakes: stocktakes.map((stocktake) => ({
+        ...stocktake.toJSON(),
+        lines: undefined,
+        lineCount: stocktake.lines.length,
+        countedCount: stocktake.lines.filter((line) => line.counted !== null)
+          .length,
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET STOCKTAKE
+// reviewers get every line's variance and the totals
+export const getStocktake = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stocktake = await populateStocktake(Stocktake.findById(id));
+
+    if (!stocktake) {
+      return res.status(404).json({ message: "Stocktake not found" });
+    }
+
+    if (!(await canReview(req))) {
+      return res.status(200).json({ stocktake: blindView(stocktake) });
+    }
+
+    return res
+      .status(200)
+      .json({ stocktake, summary: varianceSummary(stocktake) });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// RECORD COUNTS
+// body: { counts: [{ lineId, counted }] }, an empty count clears the line
+// the book quantity is taken again with each count
+export const recordCounts = async (req, res) => {
+  const { id } = req.params;
+  const { counts = [] } = req.body;
+  const user = req.user;
+
+  try {
+    const stocktake = await Stocktake.findById(id);
+
+    if (!stocktake) {
+      return res.status(404).json({ message: "Stocktake not found" });
+    }
+
+    if (stocktake.status !== "counting") {
+      return res
+        .status(400)
+        .json({ message: "This stocktake is no longer being counted" });
+    }
+
+    for (const { lineId, counted } of counts) {
+      const line = stocktake.lines.id(lineId);
+      if (!line) {
+        return res.status(404).json({ message: "Stocktake line not found" });
+      }
+
+      const cleared = counted === null || counted === "";
+      const value = Number(counted);
+      if (!cleared && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({
+          message: "Counted quantities must be whole numbers, zero or more",
+        });
+      }
+
+      // expected stays as frozen at creation, the book quantity next to it
+      if (cleared) line.bookAtCount = null;
+      else if (value !== line.counted) {
+        line.bookAtCount = await bookQuantity(line);
+      }
+      line.counted = cleared ? null : value;
+      line.countedBy = cleared ? null : user.id;
+      line.countedAt = cleared ? undefined : new Date();
+    }
+
+    await stocktake.save();
+
+    return res.status(200).json({
+      message: "Counts saved.",
+      stocktake: (await canReview(req)) ? stocktake : blindView(stocktake),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// SUBMIT STOCKTAKE (counting -> submitted)
+export const submitStocktake = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stocktake = await Stocktake.findById(id);
+
+    if (!stocktake) {
+      return res.status(404).json({ message: "Stocktake not found" });
+    }
+
+    if (stocktake.status !== "counting") {
+      return res
+        .status(400)
+        .json({ message: "Only stocktakes being counted can be submitted" });
+    }
+
+    const uncounted = stocktake.lines.filter((line) => line.counted === null);
+    if (uncounted.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `${uncounted.length} lines still need counting` });
+    }
+
+    stocktake.status = "submitted";
+    stocktake.submittedAt = new Date();
+    await stocktake.save();
+
+    return res.status(200).json({
+      message: "Stocktake submitted for review.",
+      stocktake: (await canReview(req)) ? stocktake : blindView(stocktake),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// REOPEN STOCKTAKE (submitted -> counting)
+// sends a count back for a recount
+export const reopenStocktake = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: id, status: "submitted" },
+      { status: "counting", $unset: { submittedAt: 1 } },
+      { new: true }
+    );
+
+    if (!stocktake) {
+      return res
+        .status(400)
+        .json({ message: "Only submitted stocktakes can be reopened" });
+    }
+
+    return res
+      .status(200)
+      .json({ message: "Stocktake reopened for counting.", stocktake });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// APPROVE STOCKTAKE (submitted -> approved)
+// posts every variance as a count adjustment in one batch, all or nothing
+// variances are reported against the quantities frozen at creation, the
+// adjustments are posted against the book quantity at count time so stock
+// that moved in between is kept
+export const approveStocktake = async (req, res) => {
+  const { id } = req.params;
+  const user = req.user;
+
+  try {
+    const { stocktake, results } = await runInTransaction(async (session) => {
+      const stocktake = await Stocktake.findById(id).session(session);
+
+      if (!stocktake) throw new StockError("Stocktake not found", 404);
+
+      if (stocktake.status !== "submitted") {
+        throw new StockError("Only submitted stocktakes can be approved");
+      }
+
+      const results = [];
+      for (const line of stocktake.lines) {
+        if (line.adjustment === 0) continue;
+
+        const posted = await postVariance(session, line, {
+          note: `Stocktake ${stocktake.stocktakeNumber}`,
+          userId: user.id,
+        });
+        line.movements = posted.map((result) => result.movement._id);
+        results.push(...posted);
+      }
+
+      stocktake.status = "approved";
+      stocktake.approvedAt = new Date();
+      stocktake.approvedBy = user.id;
+      await stocktake.save({ session });
+
+      return { stocktake, results };
+    });
+
+    checkMovementThresholds(results);
+
+    return res.status(200).json({
+      message: `Stocktake approved, ${results.length} adjustments posted.`,
+      stocktake,
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// CANCEL STOCKTAKE
+export const cancelStocktake = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: id, status: { $in: ["counting", "submitted"] } },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!stocktake) {
+      return res
+        .status(400)
+        .json({ message: "Only open stocktakes can be cancelled" });
+    }
+
+    return res.status(200).json({ message: "Stocktake cancelled.", stocktake });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
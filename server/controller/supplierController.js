@@ -0,0 +1,97 @@
+// importing models
+import Supplier from "../models/Supplier.js";
+import PurchaseOrder from "../models/PurchaseOrder.js";
+
+// CREATE SUPPLIER
+export const createSupplier = async (req, res) => {
+  const { name, contactName, email, phone, address, notes } = req.body;
+  const user = req.user;
+
+  try {
+    const existingSupplier = await Supplier.findOne({ name });
+    if (existingSupplier)
+      return res.status(400).json({ message: "Supplier already exists!" });
+
+    const supplier = await Supplier.create({
+      name,
+      contactName,
+      email,
+      phone,
+      address,
+      notes,
+      createdBy: user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Supplier created successfully", supplier });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET SUPPLIERS
+export const getAllSuppliers = async (req, res) => {
+  const { search } = req.query;
+
+  const query = {};
+  if (search) {
+    query.name = { $regex: search, $options: "i" };
+  }
+
+  try {
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+    return res.status(200).json({ suppliers });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE SUPPLIER
+export const updateSupplier = async (req, res) => {
+  const { id } = req.params;
+  const { name, contactName, email, phone, address, notes } = req.body;
+
+  try {
+    const updatedSupplier = await Supplier.findByIdAndUpdate(
+      id,
+      { name, contactName, email, phone, address, notes },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedSupplier) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    return res.status(200).json({
+      message: "Supplier updated successfully.",
+      supplier: updatedSupplier,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE SUPPLIER
+export const deleteSupplier = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hasOrders = await PurchaseOrder.exists({ supplier: id });
+    if (hasOrders) {
+      return res.status(400).json({
+        message: "Supplier has purchase orders and cannot be deleted",
+      });
+    }
+
+    const deletedSupplier = await Supplier.findByIdAndDelete(id);
+
+    if (!deletedSupplier) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    return res.status(200).json({ message: "Supplier deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,340 @@
+// importing all packages
+import bcrypt from "bcryptjs";
+
+// importing models
+import User, { MIN_PASSWORD_LENGTH } from "../models/User.js";
+import Role from "../models/Role.js";
+import Session from "../models/Session.js";
+
+// importing audit helper
+import { recordAudit } from "../utils/audit.js";
+
+// the system can't be left without someone able to manage it
+const isLastActiveAdmin = async (user) =>
+  user.role === "admin" &&
+  user.active &&
+  (await User.countDocuments({ role: "admin", active: { $ne: false } })) <= 1;
+
+// accounts whose role the caller could not grant, e.g. admins, are only
+// changed by role managers, otherwise a new email and a password reset would
+// take them over
+const canManageUser = (req, user) => Role.canGrant(req.user.role, user.role);
+
+const cannotManage = (res) =>
+  res
+    .status(403)
+    .json({ message: "Only role managers can change this account" });
+
+// GET USERS
+export const getAllUsers = async (req, res) => {
+  const { search, role, active, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+
+  if (search) {
+    const pattern = { $regex: search, $options: "i" };
+    query.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (role) query.role = role.toLowerCase();
+  // users created before the flag existed have no value and count as active
+  if (active === "true") query.active = { $ne: false };
+  if (active === "false") query.active = false;
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  try {
+    const users = await User.find(query)
+      .select("-password")
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await User.countDocuments(query);
+    return res.status(200).json({
+      totalUsers: total,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / limit),
+      users,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// GET USER
+export const getUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await User.findById(id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    return res.status(200).json({ user });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CREATE USER
+export const createUser = async (req, res) => {
+  const { name, email, password, role } = req.body;
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const existingUser = await User.findOne({ email });
+    if (existingUser)
+      return res.status(400).json({ message: "User already exists!" });
+
+    if (role && !(await Role.exists({ name: role.toLowerCase() })))
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+
+    if (!(await Role.canGrant(req.user.role, role))) {
+      return res.status(403).json({
+        message: "You can't grant a role with more access than yours",
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.create({
+      name,
+      email,
+      password: hashedPassword,
+      role,
+    });
+
+    await recordAudit({
+      req,
+      action: "user.create",
+      targetType: "User",
+      target: user,
+      after: user,
+    });
+
+    return res.status(200).json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        active: user.active,
+      },
+      message: "User created successfully.",
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UPDATE USER
+// passwords are not changed here
+export const updateUser = async (req, res) => {
+  const { id } = req.params;
+  const { name, email, role, active } = req.body;
+
+  if (role !== undefined && typeof role !== "string") {
+    return res.status(400).json({ message: "Role must be text" });
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    return res.status(400).json({ message: "Active must be true or false" });
+  }
+
+  try {
+    const user = await User.findById(id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canManageUser(req, user))) return cannotManage(res);
+
+    const isSelf = user._id.equals(req.user.id);
+    const roleChanged = role !== undefined && role.toLowerCase() !== user.role;
+    const deactivating = active === false && user.active;
+
+    if (isSelf && (roleChanged || deactivating)) {
+      return res.status(400).json({
+        message: "You cannot change your own role or deactivate yourself",
+      });
+    }
+
+    if ((roleChanged || deactivating) && (await isLastActiveAdmin(user))) {
+      return res
+        .status(400)
+        .json({ message: "At least one active admin is required" });
+    }
+
+    if (roleChanged && !(await Role.exists({ name: role.toLowerCase() }))) {
+      return res.status(400).json({ message: `Unknown role "${role}"` });
+    }
+
+    if (roleChanged && !(await Role.canGrant(req.user.role, role))) {
+      return res.status(403).json({
+        message: "You can't grant a role with more access than yours",
+      });
+    }
+
+    if (email !== undefined && email !== user.email) {
+      const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({ message: "Email is already in use" });
+      }
+    }
+
+    const previousUser = user.toObject();
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = email;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active;
+    await user.save();
+
+    // sign the user out everywhere once they are deactivated
+    if (deactivating) {
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+
+    await recordAudit({
+      req,
+      action: "user.update",
+      targetType: "User",
+      target: user,
+      before: previousUser,
+      after: user,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "User updated successfully.", user });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE USER
+export const deleteUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await User.findById(id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user._id.equals(req.user.id)) {
+      return res
+        .status(400)
+        .json({ message: "You cannot delete your own account" });
+    }
+
+    if (!(await canManageUser(req, user))) return cannotManage(res);
+
+    if (await isLastActiveAdmin(user)) {
+      return res
+        .status(400)
+        .json({ message: "At least one active admin is required" });
+    }
+
+    await user.deleteOne();
+    await Session.deleteMany({ user: user._id });
+
+    await recordAudit({
+      req,
+      action: "user.delete",
+      targetType: "User",
+      target: user,
+      before: user,
+    });
+
+    return res.status(200).json({ message: "User deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// UNLOCK USER
+// clears a login lockout before it runs out
+export const unlockUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await User.findById(id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const previousUser = user.toObject();
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockedUntil = null;
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: "user.unlock",
+      targetType: "User",
+      target: user,
+      before: previousUser,
+      after: user,
+    });
+
+    return res.status(200).json({ message: "User unlocked.", user });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// RESET TWO-FACTOR
+// for users who lost both their device and their recovery codes
+export const resetTwoFactor = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await User.findById(id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canManageUser(req, user))) return cannotManage(res);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastStep: null,
+      }
+    );
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    await recordAudit({
+      req,
+      action: "user.2fa.reset",
+      targetType: "User",
+      target: user,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Two-factor authentication reset." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,205 @@
+// importing models
+import Inventory from "../models/Inventory.js";
+import Variant from "../models/Variant.js";
+import SalesOrder from "../models/SalesOrder.js";
+import StockRequest from "../models/StockRequest.js";
+
+// importing helpers
+import {
+  applyMovement,
+  checkMovementThresholds,
+} from "../utils/stockLedger.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { findCodeConflict } from "../utils/productCodes.js";
+import { recordAudit } from "../utils/audit.js";
+
+// GET VARIANTS
+export const getVariants = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const item = await Inventory.findOne({ _id: id, deletedAt: null });
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const variants = await Variant.find({ item: id }).sort({ name: 1 });
+
+    return res.status(200).json({
+      item: { id: item._id, name: item.name, price: item.price },
+      variants,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// CREATE VARIANT
+// an opening quantity is booked through the ledger like any other receipt
+export const createVariant = async (req, res) => {
+  const { id } = req.params;
+  const { name, attributes, sku, barcode, price, quantity } = req.body;
+  const user = req.user;
+
+  try {
+    const item = await Inventory.findOne({ _id: id, deletedAt: null });
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const conflict = await findCodeConflict({ sku, barcode });
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    // the variant and its opening stock are written together or not at all
+    const { variant, result } = await runInTransaction(async (session) => {
+      const [created] = await Variant.create(
+        [
+          {
+            item: item._id,
+            name,
+            attributes,
+            sku,
+            barcode,
+            price,
+            createdBy: user.id,
+          },
+        ],
+        { session }
+      );
+
+      if (!(Number(quantity) > 0)) return { variant: created };
+
+      const movement = await applyMovement(session, {
+        itemId: item._id,
+        variantId: created._id,
+        type: "receipt",
+        reason: "initial",
+        quantity,
+        userId: user.id,
+      });
+      created.quantity = Number(quantity);
+      return { variant: created, result: movement };
+    });
+
+    if (result) checkMovementThresholds([result]);
+
+    await recordAudit({
+      req,
+      action: "variant.create",
+      targetType: "Variant",
+      target: variant,
+      after: variant,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Variant created successfully", variant });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// UPDATE VARIANT
+export const updateVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+  const { quantity } = req.body;
+
+  // the item and stock of a variant are not edited here
+  const updates = Object.fromEntries(
+    ["name", "attributes", "sku", "barcode", "price"]
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => [field, req.body[field]])
+  );
+
+  // stock levels only change through the movement ledger
+  if (quantity !== undefined) {
+    return res.status(400).json({
+      message: "Quantity can only be changed through stock movements",
+    });
+  }
+
+  try {
+    const variant = await Variant.findOne({ _id: variantId, item: id });
+
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const conflict = await findCodeConflict(updates, {
+      variantId: variant._id,
+    });
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    const previousVariant = variant.toObject();
+    variant.set(updates);
+    await variant.save();
+
+    await recordAudit({
+      req,
+      action: "variant.update",
+      targetType: "Variant",
+      target: variant,
+      before: previousVariant,
+      after: variant,
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Variant updated successfully.", variant });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// DELETE VARIANT
+// only empty variants can go, their stock has to be issued or adjusted first
+// and open orders or requests for them shipped, cancelled or reviewed
+export const deleteVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  try {
+    const variant = await Variant.findOne({ _id: variantId, item: id });
+
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    if (variant.quantity > 0) {
+      return res.status(400).json({
+        message: "Variant still holds stock, move it out before deleting",
+      });
+    }
+
+    const openOrder = await SalesOrder.exists({
+      status: { $in: ["draft", "confirmed", "picked"] },
+      "lines.variant": variant._id,
+    });
+    const openRequest = await StockRequest.exists({
+      status: "pending",
+      variant: variant._id,
+    });
+
+    if (openOrder || openRequest) {
+      return res.status(400).json({
+        message:
+          "Variant is on open sales orders or stock requests. Close them first.",
+      });
+    }
+
+    await variant.deleteOne();
+
+    await recordAudit({
+      req,
+      action: "variant.delete",
+      targetType: "Variant",
+      target: variant,
+      before: variant,
+    });
+
+    return res.status(200).json({ message: "Variant deleted successfully." });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+};
@@ -2,12 +2,17 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 
+// importing Role, Session and User models
+import Role from "../models/Role.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+
 // defining JWT secret key from .env
 dotenv.config({ quiet: true });
 const JWT_SECRET = process.env.JWT_SECRET;
 
 // function to verify header
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -18,11 +23,48 @@ export const verifyToken = (req, res, next) => {
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: err.message });
   }
+
+  try {
+    // logging out or an admin revoke ends the session before the token expires
+    const [session, user] = await Promise.all([
+      Session.findById(decoded.sid),
+      User.findById(decoded.id).select("active role"),
+    ]);
+    if (!session || session.revokedAt) {
+      return res.status(401).json({ message: "Session is no longer valid" });
+    }
+    if (!user || !user.active) {
+      return res.status(401).json({ message: "Account is deactivated" });
+    }
+
+    // the stored role wins, a role change applies without a new token
+    req.user = { ...decoded, role: user.role };
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+
+  next();
+};
+
+// function to check the user's role grants a permission, use after verifyToken
+export const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.user.role });
+
+    if (!role || !role.can(permission)) {
+      return res
+        .status(403)
+        .json({ message: `Access denied. Requires ${permission}` });
+    }
+
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
 };
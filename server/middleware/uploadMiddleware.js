@@ -0,0 +1,24 @@
+// importing all packages
+import multer from "multer";
+
+// keeps uploaded csv files in memory, they are parsed straight away
+export const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      file.mimetype === "text/csv" ||
+      file.mimetype === "application/vnd.ms-excel" ||
+      file.originalname.toLowerCase().endsWith(".csv");
+
+    cb(isCsv ? null : new Error("Only CSV files are allowed"), isCsv);
+  },
+}).single("file");
+
+// answers upload errors the same way the controllers do
+export const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+};
@@ -0,0 +1,46 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// AuditLog Schema Configuration
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // e.g. "item.create", "item.update", "user.register"
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      index: true,
+    },
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target is required"],
+    },
+    // short human readable label, kept when the target is deleted
+    targetLabel: { type: String },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    ip: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
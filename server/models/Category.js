@@ -0,0 +1,47 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Category Schema Configuration
+// categories form a tree, every category keeps the ids of all of its
+// ancestors so a whole branch can be found with one query
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // root first, parent last
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// "Electronics" and "electronics" under the same parent are one category
+categorySchema.index(
+  { parent: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+categorySchema.index({ ancestors: 1 });
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
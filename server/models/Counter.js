@@ -0,0 +1,13 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Counter Schema Configuration
+// one document per numbered sequence (PO, SO, ST), bumped atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+});
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
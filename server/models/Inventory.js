@@ -1,6 +1,9 @@
 // importing all packages
 import mongoose from "mongoose";
 
+// importing barcode check
+import { isValidBarcode } from "../utils/barcode.js";
+
 // Inventory Schema Configuration
 const inventorySchema = new mongoose.Schema(
   {
@@ -9,28 +12,89 @@ const inventorySchema = new mongoose.Schema(
       required: [true, "Item name is required"],
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required: [true, "Category is required"],
+      index: true,
+    },
+    // stock keeping unit, unique across items and variants
+    sku: {
+      type: String,
+      trim: true,
+      set: (value) => value || undefined,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      // an empty value means no barcode
+      set: (value) => value || undefined,
+      unique: true,
+      sparse: true,
+      validate: {
+        validator: (value) => isValidBarcode(value),
+        message: "Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14",
+      },
     },
     quantity: {
       type: Number,
       required: [true, "Quantity is required"],
       min: [0, "Quantity cannot be negative"],
     },
+    // units set aside for confirmed sales orders, still on hand
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
+    // every unit has its own serial number, the quantity is the number of
+    // serial units on hand
+    serialized: {
+      type: Boolean,
+      default: false,
+    },
     price: {
       type: Number,
       required: [true, "Price is required"],
       min: [0, "Price cannot be negative"],
     },
+    reorderLevel: {
+      type: Number,
+      default: 0,
+      min: [0, "Reorder level cannot be negative"],
+    },
+    reorderQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Reorder quantity cannot be negative"],
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // set when the item is moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// stock that is neither reserved nor gone
+inventorySchema.virtual("available").get(function () {
+  return this.quantity - (this.reserved || 0);
+});
+
 const Inventory = mongoose.model("Inventory", inventorySchema);
 
 export default Inventory;
@@ -0,0 +1,30 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Invite Schema Configuration
+const inviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    // name of a Role document, see models/Role.js
+    role: { type: String, default: "staff", lowercase: true, trim: true },
+    // sha-256 of the token sent to the invitee
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const Invite = mongoose.model("Invite", inviteSchema);
+
+export default Invite;
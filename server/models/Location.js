@@ -0,0 +1,33 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Location Schema Configuration
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Location name is required"],
+      unique: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Location = mongoose.model("Location", locationSchema);
+
+export default Location;
@@ -0,0 +1,19 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// LoginAttempt Schema Configuration
+// failed logins per client IP, accounts keep their own count on the User
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    ip: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    // the record, and with it the count, is dropped once the IP goes quiet
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
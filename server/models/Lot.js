@@ -0,0 +1,35 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Lot Schema Configuration
+// quantity of one item received under one batch/lot number
+const lotSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+    },
+    lotNumber: {
+      type: String,
+      required: [true, "Lot number is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // null means the lot never expires, it is issued last
+    expiryDate: { type: Date, default: null, index: true },
+    // only changed through the stock ledger
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+  },
+  { timestamps: true }
+);
+
+lotSchema.index({ item: 1, lotNumber: 1 }, { unique: true });
+
+const Lot = mongoose.model("Lot", lotSchema);
+
+export default Lot;
@@ -0,0 +1,24 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// PasswordReset Schema Configuration
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    // sha-256 of the token emailed to the user
+    tokenHash: { type: String, required: true, unique: true },
+    usedAt: { type: Date, default: null },
+    // expired requests are removed by MongoDB's TTL monitor
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true }
+);
+
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+
+export default PasswordReset;
@@ -0,0 +1,89 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing numbering helper
+import { nextNumber } from "../utils/sequence.js";
+
+export const PO_STATUSES = ["draft", "sent", "partially_received", "received"];
+
+// line of a purchase order, one per ordered item
+const lineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+    required: [true, "Item is required"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+  },
+  unitCost: {
+    type: Number,
+    required: [true, "Unit cost is required"],
+    min: [0, "Unit cost cannot be negative"],
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, "Received quantity cannot be negative"],
+  },
+});
+
+// PurchaseOrder Schema Configuration
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    status: {
+      type: String,
+      enum: PO_STATUSES,
+      default: "draft",
+    },
+    lines: {
+      type: [lineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A purchase order needs at least one line",
+      },
+    },
+    expectedDate: { type: Date },
+    notes: { type: String, trim: true },
+    sentAt: { type: Date },
+    receivedAt: { type: Date },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// numbering purchase orders as PO-00001, PO-00002, ...
+purchaseOrderSchema.pre("validate", async function () {
+  if (this.orderNumber) return;
+
+  this.orderNumber = await nextNumber(this.constructor, "orderNumber", "PO");
+});
+
+// total value of the order
+purchaseOrderSchema.virtual("total").get(function () {
+  return this.lines.reduce(
+    (sum, line) => sum + line.quantity * line.unitCost,
+    0
+  );
+});
+
+purchaseOrderSchema.set("toJSON", { virtuals: true });
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -0,0 +1,112 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// every permission that can be granted to a role
+export const PERMISSIONS = [
+  "items:create",
+  "items:update",
+  "items:delete",
+  "items:purge",
+  "items:import",
+  "stock:move",
+  "locations:manage",
+  "categories:manage",
+  "suppliers:manage",
+  "purchase-orders:manage",
+  "sales-orders:manage",
+  "stock-requests:review",
+  "stocktakes:count",
+  "stocktakes:manage",
+  "users:manage",
+  "roles:manage",
+  "reports:view",
+  "audit:view",
+];
+
+// grants every permission, including ones added later
+export const ALL_PERMISSIONS = "*";
+
+// roles created on startup when they do not exist yet
+export const DEFAULT_ROLES = [
+  {
+    name: "admin",
+    description: "Full access to everything",
+    permissions: [ALL_PERMISSIONS],
+    system: true,
+  },
+  {
+    name: "staff",
+    description: "Read-only access to inventory, can request and count stock",
+    permissions: ["stocktakes:count"],
+    system: true,
+  },
+];
+
+// Role Schema Configuration
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    description: { type: String, trim: true },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) =>
+          permissions.every(
+            (p) => p === ALL_PERMISSIONS || PERMISSIONS.includes(p)
+          ),
+        message: "Unknown permission",
+      },
+    },
+    // built-in roles cannot be renamed or deleted
+    system: { type: Boolean, default: false },
+    // members must set up two-factor authentication before they can log in
+    requireTwoFactor: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// checks whether the role grants a permission
+roleSchema.methods.can = function (permission) {
+  return (
+    this.permissions.includes(ALL_PERMISSIONS) ||
+    this.permissions.includes(permission)
+  );
+};
+
+// role managers may hand out any role, everyone else only roles whose
+// permissions they hold themselves, and never "*" or roles:manage
+roleSchema.statics.canGrant = async function (grantorRole, name) {
+  if (!name) return true;
+
+  const [grantor, role] = await Promise.all([
+    this.findOne({ name: grantorRole }),
+    this.findOne({ name: String(name).toLowerCase() }),
+  ]);
+  if (!grantor) return false;
+  if (!role || grantor.can("roles:manage")) return true;
+
+  return role.permissions.every(
+    (p) => p !== ALL_PERMISSIONS && p !== "roles:manage" && grantor.can(p)
+  );
+};
+
+// creates the default roles that are missing
+roleSchema.statics.ensureDefaults = async function () {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: role },
+      { upsert: true }
+    );
+  }
+};
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
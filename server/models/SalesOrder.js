@@ -0,0 +1,100 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing numbering helper
+import { nextNumber } from "../utils/sequence.js";
+
+export const SO_STATUSES = [
+  "draft",
+  "confirmed",
+  "picked",
+  "shipped",
+  "cancelled",
+];
+
+// line of a sales order, one per ordered item or variant
+const lineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+    required: [true, "Item is required"],
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Variant",
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"],
+    validate: {
+      validator: Number.isInteger,
+      message: "Quantity must be a whole number",
+    },
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, "Unit price is required"],
+    min: [0, "Unit price cannot be negative"],
+  },
+});
+
+// SalesOrder Schema Configuration
+const salesOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      unique: true,
+    },
+    customer: {
+      type: String,
+      required: [true, "Customer is required"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: SO_STATUSES,
+      default: "draft",
+    },
+    lines: {
+      type: [lineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "A sales order needs at least one line",
+      },
+    },
+    notes: { type: String, trim: true },
+    confirmedAt: { type: Date },
+    pickedAt: { type: Date },
+    shippedAt: { type: Date },
+    cancelledAt: { type: Date },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// numbering sales orders as SO-00001, SO-00002, ...
+salesOrderSchema.pre("validate", async function () {
+  if (this.orderNumber) return;
+
+  this.orderNumber = await nextNumber(this.constructor, "orderNumber", "SO");
+});
+
+// total value of the order
+salesOrderSchema.virtual("total").get(function () {
+  return this.lines.reduce(
+    (sum, line) => sum + line.quantity * line.unitPrice,
+    0
+  );
+});
+
+salesOrderSchema.set("toJSON", { virtuals: true });
+
+const SalesOrder = mongoose.model("SalesOrder", salesOrderSchema);
+
+export default SalesOrder;
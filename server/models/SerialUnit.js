@@ -0,0 +1,72 @@
+// importing all packages
+import mongoose from "mongoose";
+
+export const SERIAL_STATUSES = ["in_stock", "issued", "returned", "scrapped"];
+
+// statuses that count towards the item quantity
+export const ON_HAND_STATUSES = ["in_stock", "returned"];
+
+// one entry per change of status, location or assignee
+const historySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: SERIAL_STATUSES, required: true },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    assignedTo: { type: String, trim: true },
+    note: { type: String, trim: true },
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+      default: null,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// SerialUnit Schema Configuration
+// one physical unit of a serialized item
+const serialUnitSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+      index: true,
+    },
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    status: {
+      type: String,
+      enum: SERIAL_STATUSES,
+      default: "in_stock",
+      index: true,
+    },
+    // where the unit is kept while on hand
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    // who or where the unit was issued to
+    assignedTo: { type: String, trim: true },
+    history: [historySchema],
+  },
+  { timestamps: true }
+);
+
+const SerialUnit = mongoose.model("SerialUnit", serialUnitSchema);
+
+export default SerialUnit;
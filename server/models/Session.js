@@ -0,0 +1,30 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Session Schema Configuration
+// one document per signed in device, holding its rotating refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    // only sha-256 hashes of refresh tokens are stored
+    tokenHash: { type: String, required: true, unique: true },
+    // the token this one replaced, presenting it again means it leaked
+    previousTokenHash: { type: String, default: null, index: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    // expired sessions are removed by MongoDB's TTL monitor
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true }
+);
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,29 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// StockAlert Schema Configuration
+const stockAlertSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["low_stock"],
+      default: "low_stock",
+    },
+    // snapshot of the item when the threshold was crossed
+    quantity: { type: Number, required: true },
+    reorderLevel: { type: Number, required: true },
+    reorderQuantity: { type: Number, default: 0 },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const StockAlert = mongoose.model("StockAlert", stockAlertSchema);
+
+export default StockAlert;
@@ -0,0 +1,31 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// StockLevel Schema Configuration
+// quantity of one item held at one location
+const stockLevelSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: [true, "Location is required"],
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+  },
+  { timestamps: true }
+);
+
+stockLevelSchema.index({ item: 1, location: 1 }, { unique: true });
+
+const StockLevel = mongoose.model("StockLevel", stockLevelSchema);
+
+export default StockLevel;
@@ -0,0 +1,85 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// allowed reason codes for every movement type
+export const MOVEMENT_REASONS = {
+  receipt: ["initial", "purchase", "return", "other"],
+  issue: ["sale", "consumption", "damaged", "other"],
+  adjustment: ["count", "correction", "damaged", "lost", "found", "other"],
+  transfer: ["transfer"],
+};
+
+// StockMovement Schema Configuration
+const stockMovementSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(MOVEMENT_REASONS),
+      required: [true, "Movement type is required"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      validate: {
+        validator: function (value) {
+          return (MOVEMENT_REASONS[this.type] || []).includes(value);
+        },
+        message: (props) => `Invalid reason "${props.value}" for this movement`,
+      },
+    },
+    // signed change applied to the item quantity
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    // set when the movement changed the stock of one variant
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Variant",
+      default: null,
+    },
+    // lots the stock came from or went into
+    lots: [
+      {
+        _id: false,
+        lot: { type: mongoose.Schema.Types.ObjectId, ref: "Lot" },
+        lotNumber: String,
+        quantity: Number,
+      },
+    ],
+    // units of a serialized item that moved
+    serialNumbers: {
+      type: [String],
+      default: undefined,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
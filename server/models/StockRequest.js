@@ -0,0 +1,62 @@
+// importing all packages
+import mongoose from "mongoose";
+
+export const REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+];
+
+// StockRequest Schema Configuration
+const stockRequestSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+      index: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Variant",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Quantity must be a whole number",
+      },
+    },
+    // why the stock is needed, shown to the reviewer
+    reason: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: REQUEST_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date },
+    // reviewer's answer, e.g. why a request was rejected
+    reviewNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+const StockRequest = mongoose.model("StockRequest", stockRequestSchema);
+
+export default StockRequest;
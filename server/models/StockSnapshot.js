@@ -0,0 +1,36 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// StockSnapshot Schema Configuration
+// one document per item per day, holding the stock at the start of that day
+const stockSnapshotSchema = new mongoose.Schema(
+  {
+    // midnight UTC of the day the snapshot belongs to
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      index: true,
+    },
+    quantity: { type: Number, required: true },
+    price: { type: Number, required: true },
+    // quantity x price
+    value: { type: Number, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockSnapshotSchema.index({ item: 1, date: 1 }, { unique: true });
+stockSnapshotSchema.index({ date: 1 });
+
+const StockSnapshot = mongoose.model("StockSnapshot", stockSnapshotSchema);
+
+export default StockSnapshot;
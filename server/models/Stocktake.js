@@ -0,0 +1,134 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing numbering helper
+import { nextNumber } from "../utils/sequence.js";
+
+export const STOCKTAKE_STATUSES = [
+  "counting",
+  "submitted",
+  "approved",
+  "cancelled",
+];
+
+// one line per place an item's stock is held: a location (null for the
+// unassigned pool) or, for items with variants, a variant (null for the stock
+// outside variants) wherever it is shelved
+const lineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+    required: [true, "Item is required"],
+  },
+  byVariant: { type: Boolean, default: false },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Variant",
+    default: null,
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  // book quantity frozen when the stocktake is created
+  expected: { type: Number, required: true },
+  // book quantity when the line was counted, stock that moved after the
+  // stocktake was created is already on the books and isn't posted again
+  bookAtCount: { type: Number, default: null },
+  // null until the item has been counted
+  counted: {
+    type: Number,
+    default: null,
+    min: [0, "Counted quantity cannot be negative"],
+    validate: {
+      validator: (value) => value === null || Number.isInteger(value),
+      message: "Counted quantity must be a whole number",
+    },
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  countedAt: { type: Date },
+  // adjustments posted for the variance on approval
+  movements: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+    },
+  ],
+});
+
+// counted minus expected, null while the line is uncounted
+lineSchema.virtual("variance").get(function () {
+  return this.counted === null ? null : this.counted - this.expected;
+});
+
+// what approving the line changes on the books, counted minus the book
+// quantity at count time
+lineSchema.virtual("adjustment").get(function () {
+  return this.counted === null
+    ? null
+    : this.counted - (this.bookAtCount ?? this.expected);
+});
+
+lineSchema.set("toJSON", { virtuals: true });
+
+// Stocktake Schema Configuration
+const stocktakeSchema = new mongoose.Schema(
+  {
+    stocktakeNumber: { type: String, unique: true },
+    name: { type: String, trim: true },
+    // what is being counted, a category, a location or both
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: STOCKTAKE_STATUSES,
+      default: "counting",
+      index: true,
+    },
+    lines: [lineSchema],
+    submittedAt: { type: Date },
+    approvedAt: { type: Date },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelledAt: { type: Date },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// numbering stocktakes as ST-00001, ST-00002, ...
+stocktakeSchema.pre("validate", async function () {
+  if (this.stocktakeNumber) return;
+
+  this.stocktakeNumber = await nextNumber(
+    this.constructor,
+    "stocktakeNumber",
+    "ST"
+  );
+});
+
+stocktakeSchema.set("toJSON", { virtuals: true });
+
+const Stocktake = mongoose.model("Stocktake", stocktakeSchema);
+
+export default Stocktake;
@@ -0,0 +1,29 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// Supplier Schema Configuration
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      unique: true,
+      trim: true,
+    },
+    contactName: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+export default Supplier;
@@ -1,13 +1,57 @@
 // importing all packages
 import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+// shortest password accepted anywhere a password is set
+export const MIN_PASSWORD_LENGTH = 8;
 
 // User Schema Configuration
-const userSchema = new mongoose.Schema({
-  name: { type: String, required: [true, "Name is required"] },
-  email: { type: String, unique: true, required: [true, "Email is required"] },
-  password: { type: String, required: [true, "Password is required"] },
-  role: { type: String, enum: ["admin", "staff"], default: "staff" },
-});
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, "Name is required"] },
+    email: {
+      type: String,
+      unique: true,
+      required: [true, "Email is required"],
+    },
+    password: { type: String, required: [true, "Password is required"] },
+    // name of a Role document, see models/Role.js
+    role: { type: String, default: "staff", lowercase: true, trim: true },
+    // deactivated users can't log in and their tokens stop working
+    active: { type: Boolean, default: true },
+    lastLoginAt: { type: Date, default: null },
+    lastLoginIp: { type: String, default: null },
+    // consecutive failed logins, cleared on success or by an admin unlock
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    // time-based one-time passwords, secrets are never selected by default
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null, select: false },
+    // waits here until the first code confirms the enrollment
+    twoFactorPendingSecret: { type: String, default: null, select: false },
+    twoFactorRecoveryCodes: { type: [String], default: [], select: false },
+    // last accepted time step, so a code can't be replayed
+    twoFactorLastStep: { type: Number, default: null, select: false },
+  },
+  { timestamps: true }
+);
+
+// registration is admin only, so an empty database gets its first admin
+// from ADMIN_EMAIL and ADMIN_PASSWORD
+userSchema.statics.ensureAdmin = async function () {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+  if (await this.exists({})) return;
+
+  await this.create({
+    name: "Administrator",
+    email: ADMIN_EMAIL,
+    password: await bcrypt.hash(ADMIN_PASSWORD, 10),
+    role: "admin",
+  });
+  console.log(`Created admin user ${ADMIN_EMAIL}`);
+};
 
 // User model creating
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,69 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing barcode check
+import { isValidBarcode } from "../utils/barcode.js";
+
+// Variant Schema Configuration
+// a sellable version of an item, e.g. a size or colour, with its own stock
+const variantSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Item is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Variant name is required"],
+      trim: true,
+    },
+    // e.g. { size: "L", colour: "Red" }
+    attributes: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    sku: {
+      type: String,
+      required: [true, "SKU is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      // an empty value means no barcode
+      set: (value) => value || undefined,
+      unique: true,
+      sparse: true,
+      validate: {
+        validator: (value) => isValidBarcode(value),
+        message: "Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14",
+      },
+    },
+    // null means the variant sells at the item price
+    price: {
+      type: Number,
+      default: null,
+      min: [0, "Price cannot be negative"],
+    },
+    // only changed through the stock ledger
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const Variant = mongoose.model("Variant", variantSchema);
+
+export default Variant;
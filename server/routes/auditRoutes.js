@@ -0,0 +1,19 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import { getAuditLogs } from "./../controller/auditController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/", verifyToken, requirePermission("audit:view"), getAuditLogs);
+
+export default router;
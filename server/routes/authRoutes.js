@@ -1,15 +1,55 @@
 // importing all packages
 import express from "express";
 
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
 // importing Auth controller functions
-import { registerUser, loginUser } from "../controller/authController.js";
+import {
+  registerUser,
+  loginUser,
+  refreshSession,
+  logoutUser,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  enrollTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controller/authController.js";
 
 // router configuration
 const router = express.Router();
 
 // routes
-router.post("/register", registerUser);
+router.post(
+  "/register",
+  verifyToken,
+  requirePermission("users:manage"),
+  registerUser
+);
 router.post("/login", loginUser);
+router.post("/refresh", refreshSession);
+router.post("/logout", logoutUser);
+router.post("/change-password", verifyToken, changePassword);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+// two-factor authentication, the login steps are authorised by a challenge token
+router.post("/2fa/verify", verifyTwoFactorLogin);
+router.post("/2fa/setup", startTwoFactorSetup);
+router.post("/2fa/setup/confirm", confirmTwoFactorSetup);
+router.post("/2fa/enroll", verifyToken, enrollTwoFactor);
+router.post("/2fa/enable", verifyToken, enableTwoFactor);
+router.post("/2fa/disable", verifyToken, disableTwoFactor);
+router.post("/2fa/recovery-codes", verifyToken, regenerateRecoveryCodes);
 
 // testing routes
 router.get("/test", (req, res) => {
@@ -0,0 +1,42 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createCategory,
+  getAllCategories,
+  updateCategory,
+  deleteCategory,
+} from "./../controller/categoryController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("categories:manage"),
+  createCategory
+);
+router.get("/", verifyToken, getAllCategories); // any logged in user
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("categories:manage"),
+  updateCategory
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("categories:manage"),
+  deleteCategory
+);
+
+export default router;
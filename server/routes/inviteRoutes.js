@@ -0,0 +1,39 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createInvite,
+  getPendingInvites,
+  deleteInvite,
+  getInvite,
+  acceptInvite,
+} from "./../controller/inviteController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/accept", getInvite); // public, the token is the credential
+router.post("/accept", acceptInvite); // public, the token is the credential
+router.get(
+  "/",
+  verifyToken,
+  requirePermission("users:manage"),
+  getPendingInvites
+);
+router.post("/", verifyToken, requirePermission("users:manage"), createInvite);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("users:manage"),
+  deleteInvite
+);
+
+export default router;
@@ -2,15 +2,43 @@
 import express from "express";
 
 // importing auth middleware
-import { verifyToken } from "../middleware/authMiddleware.js";
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+import { uploadCsv, handleUpload } from "../middleware/uploadMiddleware.js";
 
 // importing controllers
 import {
   createItem,
   getAllItems,
+  getLowStockItems,
   updateItem,
   deleteItem,
+  getTrashedItems,
+  restoreItem,
+  purgeTrash,
+  lookupItem,
+  getItem,
 } from "./../controller/itemController.js";
+import {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} from "./../controller/variantController.js";
+import { getItemLots, getExpiringLots } from "./../controller/lotController.js";
+import {
+  getItemSerials,
+  receiveSerials,
+} from "./../controller/serialController.js";
+import { exportItems } from "./../controller/exportController.js";
+import { importItems } from "./../controller/importController.js";
+import {
+  createMovement,
+  getItemMovements,
+  transferItemStock,
+} from "./../controller/movementController.js";
 
 // router configuration
 const router = express.Router();
@@ -24,9 +52,96 @@ router.get("/test", verifyToken, (req, res) => {
 });
 
 // routes
-router.post("/", verifyToken, createItem); // admin only
+router.post("/", verifyToken, requirePermission("items:create"), createItem);
 router.get("/", verifyToken, getAllItems); // any logged in user
-router.put("/:id", verifyToken, updateItem); // admin only
-router.delete("/:id", verifyToken, deleteItem); // admin only
+router.get("/low-stock", verifyToken, getLowStockItems); // any logged in user
+router.get("/export", verifyToken, exportItems); // any logged in user
+router.get("/lookup", verifyToken, lookupItem); // any logged in user
+router.get("/expiring", verifyToken, getExpiringLots); // any logged in user
+router.post(
+  "/import",
+  verifyToken,
+  requirePermission("items:import"),
+  handleUpload(uploadCsv),
+  importItems
+);
+router.put("/:id", verifyToken, requirePermission("items:update"), updateItem);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("items:delete"),
+  deleteItem
+);
+
+// trash routes
+router.get(
+  "/trash",
+  verifyToken,
+  requirePermission("items:delete"),
+  getTrashedItems
+);
+router.post(
+  "/trash/purge",
+  verifyToken,
+  requirePermission("items:purge"),
+  purgeTrash
+);
+router.post(
+  "/:id/restore",
+  verifyToken,
+  requirePermission("items:delete"),
+  restoreItem
+);
+
+// single item, declared after /trash so that path is not read as an id
+router.get("/:id", verifyToken, getItem); // any logged in user
+
+// stock movement routes
+router.get("/:id/movements", verifyToken, getItemMovements); // any logged in user
+router.post(
+  "/:id/movements",
+  verifyToken,
+  requirePermission("stock:move"),
+  createMovement
+);
+router.post(
+  "/:id/transfer",
+  verifyToken,
+  requirePermission("stock:move"),
+  transferItemStock
+);
+
+// lot routes
+router.get("/:id/lots", verifyToken, getItemLots); // any logged in user
+
+// serial number routes
+router.get("/:id/serials", verifyToken, getItemSerials); // any logged in user
+router.post(
+  "/:id/serials",
+  verifyToken,
+  requirePermission("stock:move"),
+  receiveSerials
+);
+
+// variant routes
+router.get("/:id/variants", verifyToken, getVariants); // any logged in user
+router.post(
+  "/:id/variants",
+  verifyToken,
+  requirePermission("items:update"),
+  createVariant
+);
+router.put(
+  "/:id/variants/:variantId",
+  verifyToken,
+  requirePermission("items:update"),
+  updateVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  verifyToken,
+  requirePermission("items:update"),
+  deleteVariant
+);
 
 export default router;
@@ -0,0 +1,42 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createLocation,
+  getAllLocations,
+  updateLocation,
+  deleteLocation,
+} from "./../controller/locationController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("locations:manage"),
+  createLocation
+);
+router.get("/", verifyToken, getAllLocations); // any logged in user
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("locations:manage"),
+  updateLocation
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("locations:manage"),
+  deleteLocation
+);
+
+export default router;
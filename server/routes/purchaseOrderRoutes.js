@@ -0,0 +1,60 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createPurchaseOrder,
+  getAllPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  deletePurchaseOrder,
+} from "./../controller/purchaseOrderController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("purchase-orders:manage"),
+  createPurchaseOrder
+);
+router.get("/", verifyToken, getAllPurchaseOrders); // any logged in user
+router.get("/:id", verifyToken, getPurchaseOrder); // any logged in user
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("purchase-orders:manage"),
+  updatePurchaseOrder
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("purchase-orders:manage"),
+  deletePurchaseOrder
+);
+
+// status transitions
+router.post(
+  "/:id/send",
+  verifyToken,
+  requirePermission("purchase-orders:manage"),
+  sendPurchaseOrder
+);
+router.post(
+  "/:id/receive",
+  verifyToken,
+  requirePermission("purchase-orders:manage"),
+  receivePurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,30 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import { getSummary, getTrends } from "./../controller/reportController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get(
+  "/summary",
+  verifyToken,
+  requirePermission("reports:view"),
+  getSummary
+);
+router.get(
+  "/trends",
+  verifyToken,
+  requirePermission("reports:view"),
+  getTrends
+);
+
+export default router;
@@ -0,0 +1,34 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  getPermissions,
+  getAllRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "./../controller/roleController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/", verifyToken, getAllRoles); // any logged in user
+router.get("/permissions", verifyToken, getPermissions); // any logged in user
+router.post("/", verifyToken, requirePermission("roles:manage"), createRole);
+router.put("/:id", verifyToken, requirePermission("roles:manage"), updateRole);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("roles:manage"),
+  deleteRole
+);
+
+export default router;
@@ -0,0 +1,74 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createSalesOrder,
+  getAllSalesOrders,
+  getSalesOrder,
+  updateSalesOrder,
+  confirmSalesOrder,
+  pickSalesOrder,
+  shipSalesOrder,
+  cancelSalesOrder,
+  deleteSalesOrder,
+} from "./../controller/salesOrderController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  createSalesOrder
+);
+router.get("/", verifyToken, getAllSalesOrders); // any logged in user
+router.get("/:id", verifyToken, getSalesOrder); // any logged in user
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  updateSalesOrder
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  deleteSalesOrder
+);
+
+// status transitions
+router.post(
+  "/:id/confirm",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  confirmSalesOrder
+);
+router.post(
+  "/:id/pick",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  pickSalesOrder
+);
+router.post(
+  "/:id/ship",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  shipSalesOrder
+);
+router.post(
+  "/:id/cancel",
+  verifyToken,
+  requirePermission("sales-orders:manage"),
+  cancelSalesOrder
+);
+
+export default router;
@@ -0,0 +1,35 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  traceSerial,
+  changeSerialStatus,
+  moveSerialUnit,
+} from "./../controller/serialController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/:serialNumber", verifyToken, traceSerial); // any logged in user
+router.post(
+  "/:serialNumber/status",
+  verifyToken,
+  requirePermission("stock:move"),
+  changeSerialStatus
+);
+router.post(
+  "/:serialNumber/move",
+  verifyToken,
+  requirePermission("stock:move"),
+  moveSerialUnit
+);
+
+export default router;
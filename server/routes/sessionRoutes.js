@@ -0,0 +1,35 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  getSessions,
+  revokeSession,
+  revokeUserSessions,
+} from "./../controller/sessionController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/", verifyToken, requirePermission("users:manage"), getSessions);
+router.delete(
+  "/user/:userId",
+  verifyToken,
+  requirePermission("users:manage"),
+  revokeUserSessions
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("users:manage"),
+  revokeSession
+);
+
+export default router;
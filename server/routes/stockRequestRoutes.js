@@ -0,0 +1,46 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createStockRequest,
+  getMyStockRequests,
+  getAllStockRequests,
+  approveStockRequest,
+  rejectStockRequest,
+  cancelStockRequest,
+} from "./../controller/stockRequestController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post("/", verifyToken, createStockRequest); // any logged in user
+router.get("/mine", verifyToken, getMyStockRequests); // any logged in user
+router.get(
+  "/",
+  verifyToken,
+  requirePermission("stock-requests:review"),
+  getAllStockRequests
+);
+router.post(
+  "/:id/approve",
+  verifyToken,
+  requirePermission("stock-requests:review"),
+  approveStockRequest
+);
+router.post(
+  "/:id/reject",
+  verifyToken,
+  requirePermission("stock-requests:review"),
+  rejectStockRequest
+);
+router.post("/:id/cancel", verifyToken, cancelStockRequest); // any logged in user
+
+export default router;
@@ -0,0 +1,79 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createStocktake,
+  getAllStocktakes,
+  getStocktake,
+  recordCounts,
+  submitStocktake,
+  reopenStocktake,
+  approveStocktake,
+  cancelStocktake,
+} from "./../controller/stocktakeController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("stocktakes:manage"),
+  createStocktake
+);
+router.get(
+  "/",
+  verifyToken,
+  requirePermission("stocktakes:count"),
+  getAllStocktakes
+);
+router.get(
+  "/:id",
+  verifyToken,
+  requirePermission("stocktakes:count"),
+  getStocktake
+);
+
+// counting
+router.put(
+  "/:id/counts",
+  verifyToken,
+  requirePermission("stocktakes:count"),
+  recordCounts
+);
+router.post(
+  "/:id/submit",
+  verifyToken,
+  requirePermission("stocktakes:count"),
+  submitStocktake
+);
+
+// review
+router.post(
+  "/:id/reopen",
+  verifyToken,
+  requirePermission("stocktakes:manage"),
+  reopenStocktake
+);
+router.post(
+  "/:id/approve",
+  verifyToken,
+  requirePermission("stocktakes:manage"),
+  approveStocktake
+);
+router.post(
+  "/:id/cancel",
+  verifyToken,
+  requirePermission("stocktakes:manage"),
+  cancelStocktake
+);
+
+export default router;
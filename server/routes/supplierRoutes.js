@@ -0,0 +1,42 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  createSupplier,
+  getAllSuppliers,
+  updateSupplier,
+  deleteSupplier,
+} from "./../controller/supplierController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("suppliers:manage"),
+  createSupplier
+);
+router.get("/", verifyToken, getAllSuppliers); // any logged in user
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("suppliers:manage"),
+  updateSupplier
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("suppliers:manage"),
+  deleteSupplier
+);
+
+export default router;
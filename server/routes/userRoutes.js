@@ -0,0 +1,48 @@
+// importing all packages
+import express from "express";
+
+// importing auth middleware
+import {
+  verifyToken,
+  requirePermission,
+} from "../middleware/authMiddleware.js";
+
+// importing controllers
+import {
+  getAllUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+  resetTwoFactor,
+} from "./../controller/userController.js";
+
+// router configuration
+const router = express.Router();
+
+// routes
+router.get("/", verifyToken, requirePermission("users:manage"), getAllUsers);
+router.get("/:id", verifyToken, requirePermission("users:manage"), getUser);
+router.post("/", verifyToken, requirePermission("users:manage"), createUser);
+router.put("/:id", verifyToken, requirePermission("users:manage"), updateUser);
+router.post(
+  "/:id/unlock",
+  verifyToken,
+  requirePermission("users:manage"),
+  unlockUser
+);
+router.post(
+  "/:id/reset-2fa",
+  verifyToken,
+  requirePermission("users:manage"),
+  resetTwoFactor
+);
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("users:manage"),
+  deleteUser
+);
+
+export default router;
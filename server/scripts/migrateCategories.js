@@ -0,0 +1,67 @@
+// importing all module packages
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import chalk from "chalk";
+
+// importing models
+import Inventory from "../models/Inventory.js";
+import Category from "../models/Category.js";
+
+// importing category helper
+import { findCategoryPath } from "../utils/categories.js";
+
+// MIGRATE CATEGORIES
+// turns the free text categories stored on items into Category documents.
+// spellings that only differ by case or surrounding spaces share one
+// category, "Electronics > Phones" becomes a subcategory. safe to run again,
+// items that already reference a category are left alone.
+//
+//   npm run migrate:categories
+
+// dotenv configuration
+dotenv.config({ quiet: true });
+
+const migrate = async () => {
+  // the schema now expects ids, so the old strings are read straight from
+  // the collection
+  const names = await Inventory.collection.distinct("category", {
+    category: { $type: "string" },
+  });
+  const categoriesBefore = await Category.countDocuments();
+  let updated = 0;
+
+  for (const name of names) {
+    const category = await findCategoryPath(name.trim() || "Uncategorized", {
+      create: true,
+    });
+
+    const result = await Inventory.collection.updateMany(
+      { category: name },
+      { $set: { category: category._id } }
+    );
+    updated += result.modifiedCount;
+
+    console.log(`"${name}" -> ${category.name} (${result.modifiedCount})`);
+  }
+
+  return {
+    created: (await Category.countDocuments()) - categoriesBefore,
+    updated,
+  };
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(migrate)
+  .then(({ created, updated }) => {
+    console.log(
+      chalk.bold.green(
+        `Created ${created} categories and updated ${updated} items.`
+      )
+    );
+  })
+  .catch((err) => {
+    console.log(chalk.bold.red("Category migration failed!!!\n"), err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,6 +8,27 @@ import chalk from "chalk";
 // importing router
 import authRoutes from "./routes/authRoutes.js";
 import itemRoutes from "./routes/itemRoutes.js";
+import locationRoutes from "./routes/locationRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import supplierRoutes from "./routes/supplierRoutes.js";
+import purchaseOrderRoutes from "./routes/purchaseOrderRoutes.js";
+import salesOrderRoutes from "./routes/salesOrderRoutes.js";
+import stockRequestRoutes from "./routes/stockRequestRoutes.js";
+import serialRoutes from "./routes/serialRoutes.js";
+import stocktakeRoutes from "./routes/stocktakeRoutes.js";
+import roleRoutes from "./routes/roleRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
+import sessionRoutes from "./routes/sessionRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import inviteRoutes from "./routes/inviteRoutes.js";
+
+// importing models seeded on startup
+import Role from "./models/Role.js";
+import User from "./models/User.js";
+
+// importing background jobs
+import { startSnapshotJob } from "./utils/snapshots.js";
 
 // chalks colors
 const errorColor = chalk.bold.red;
@@ -21,6 +42,20 @@ dotenv.config({ quiet: true });
 const app = express();
 app.use(express.json());
 
+// behind the Render/Vercel proxies req.ip is the proxy's address unless the
+// proxy is trusted: TRUST_PROXY=1 (or any number) trusts that many hops,
+// "true" trusts all, "false" or unset trusts none, anything else is passed on
+// as a comma separated list of addresses/subnets, e.g. "loopback, 10.0.0.0/8"
+const TRUST_PROXY = process.env.TRUST_PROXY?.trim();
+if (TRUST_PROXY && TRUST_PROXY !== "false") {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY)
+      ? Number(TRUST_PROXY)
+      : TRUST_PROXY === "true" || TRUST_PROXY
+  );
+}
+
 app.use(
   cors({
     origin: [
@@ -29,6 +64,8 @@ app.use(
       "https://inventory-management-system-theta-one.vercel.app",
     ],
     credentials: true,
+    // lets the client read item versions
+    exposedHeaders: ["ETag"],
   })
 );
 
@@ -38,6 +75,20 @@ app.get("/", (req, res) => res.send("Inventory Management API is running..."));
 // defining routes
 app.use("/api/auth", authRoutes);
 app.use("/api/items", itemRoutes);
+app.use("/api/locations", locationRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/suppliers", supplierRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/sales-orders", salesOrderRoutes);
+app.use("/api/stock-requests", stockRequestRoutes);
+app.use("/api/serials", serialRoutes);
+app.use("/api/stocktakes", stocktakeRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/sessions", sessionRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/invites", inviteRoutes);
 
 // connection variables
 const PORT = process.env.PORT || 5000;
@@ -46,7 +97,10 @@ const MONGO_URI = process.env.MONGO_URI;
 // mongoose configuration
 mongoose
   .connect(MONGO_URI)
+  .then(() => Role.ensureDefaults())
+  .then(() => User.ensureAdmin())
   .then(() => {
+    startSnapshotJob();
     app.listen(PORT, () =>
       console.log(serverColor(`Server listening to port ${PORT}...`))
     );
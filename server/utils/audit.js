@@ -0,0 +1,54 @@
+// importing AuditLog model
+import AuditLog from "../models/AuditLog.js";
+
+// bookkeeping fields that never show up in a diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// fields whose values are never written to the log
+const REDACTED_FIELDS = ["password"];
+
+const toPlain = (doc) => (doc?.toObject ? doc.toObject() : doc || {});
+
+// field-level before/after diff of two documents
+export const diffDocuments = (before, after) => {
+  const previous = toPlain(before);
+  const current = toPlain(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter(
+      (field) =>
+        JSON.stringify(previous[field]) !== JSON.stringify(current[field])
+    )
+    .map((field) =>
+      REDACTED_FIELDS.includes(field)
+        ? { field, before: "[redacted]", after: "[redacted]" }
+        : { field, before: previous[field], after: current[field] }
+    );
+};
+
+// RECORD AUDIT
+// a failed audit write is logged but never fails the request itself
+export const recordAudit = async ({
+  req,
+  action,
+  targetType,
+  target,
+  before = null,
+  after = null,
+}) => {
+  try {
+    await AuditLog.create({
+      actor: req.user?.id || null,
+      action,
+      targetType,
+      targetId: target._id,
+      targetLabel: target.name || target.email,
+      changes: diffDocuments(before, after),
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.log("Audit log write failed:", err.message);
+  }
+};
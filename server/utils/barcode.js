@@ -0,0 +1,15 @@
+// GTIN CHECKSUM
+// EAN-8, UPC-A (12), EAN-13 and GTIN-14 share the same mod 10 check digit
+export const isValidBarcode = (code) => {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(code)) return false;
+
+  const digits = code.split("").map(Number);
+  const checkDigit = digits.pop();
+
+  // weights alternate 3, 1, ... starting from the digit next to the check digit
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 ? 1 : 3), 0);
+
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
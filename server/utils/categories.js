@@ -0,0 +1,79 @@
+// importing models
+import Category from "../models/Category.js";
+
+// category names are compared without case
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// separates the levels of a category path, e.g. "Electronics > Phones"
+export const PATH_SEPARATOR = " > ";
+
+// CATEGORY BRANCH
+// ids of a category and every category below it
+export const categoryBranch = async (categoryId) => {
+  const category = await Category.findById(categoryId).select("_id");
+  if (!category) return [];
+
+  const descendants = await Category.find({
+    ancestors: category._id,
+  }).distinct("_id");
+  return [category._id, ...descendants];
+};
+
+// CATEGORY PATHS
+// maps every category id to its full path, e.g. "Electronics > Phones"
+export const categoryPaths = async () => {
+  const categories = await Category.find().select("name ancestors").lean();
+  const names = new Map(categories.map((c) => [String(c._id), c.name]));
+
+  return new Map(
+    categories.map((category) => [
+      String(category._id),
+      [...category.ancestors, category._id]
+        .map((id) => names.get(String(id)))
+        .join(PATH_SEPARATOR),
+    ])
+  );
+};
+
+// FIND CATEGORY PATH
+// walks "Electronics > Phones" from the root, missing levels are created
+// when create is set, otherwise the lookup answers null
+export const findCategoryPath = async (
+  path,
+  { create = false, userId } = {}
+) => {
+  const names = String(path)
+    .split(PATH_SEPARATOR.trim())
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  let parent = null;
+  for (const name of names) {
+    let category = await Category.findOne({
+      parent: parent?._id || null,
+      name,
+    }).collation(CASE_INSENSITIVE);
+
+    if (!category) {
+      if (!create) return null;
+      category = await Category.create({
+        name,
+        parent: parent?._id || null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        createdBy: userId,
+      });
+    }
+    parent = category;
+  }
+
+  return parent;
+};
+
+// SIBLING NAME TAKEN
+// another category with the same name under the same parent
+export const isCategoryNameTaken = (name, parentId, excludeId) =>
+  Category.exists({
+    name: String(name).trim(),
+    parent: parentId || null,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).collation(CASE_INSENSITIVE);
@@ -0,0 +1,63 @@
+// importing models
+import StockLevel from "../models/StockLevel.js";
+
+// importing category helper
+import { categoryBranch } from "./categories.js";
+
+// BUILD ITEM QUERY
+// turns the item list query string into a mongo filter and sort, shared by
+// every endpoint that lists items so they all honour the same filters
+export const buildItemQuery = async ({
+  search,
+  category,
+  minPrice,
+  maxPrice,
+  maxQty,
+  minQty,
+  location,
+  sort = "createdAt",
+  order = "desc",
+}) => {
+  // items in the trash are never listed
+  const query = { deletedAt: null };
+
+  // search also matches an exact sku or barcode, e.g. from a scanner
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { sku: search.trim().toUpperCase() },
+      { barcode: search.trim() },
+    ];
+  }
+
+  // a category includes everything filed under its subcategories
+  if (category) {
+    query.category = { $in: await categoryBranch(category) };
+  }
+
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = Number(minPrice);
+    if (maxPrice) query.price.$lte = Number(maxPrice);
+  }
+
+  if (minQty || maxQty) {
+    query.quantity = {};
+    if (minQty) query.quantity.$gte = Number(minQty);
+    if (maxQty) query.quantity.$lte = Number(maxQty);
+  }
+
+  // only items that hold stock at the requested location
+  if (location) {
+    query._id = {
+      $in: await StockLevel.distinct("item", {
+        location,
+        quantity: { $gt: 0 },
+      }),
+    };
+  }
+
+  const sortOptions = { [sort]: order === "asc" ? 1 : -1 };
+
+  return { query, sortOptions };
+};
@@ -0,0 +1,94 @@
+// importing all packages
+import dotenv from "dotenv";
+
+// importing models
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+
+dotenv.config({ quiet: true });
+
+// failures allowed before a lockout, an IP may be shared so it gets more
+const ACCOUNT_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+// a failure streak older than this is forgotten
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// lock length doubles with every failure past the limit
+const lockoutUntil = (failures, maxAttempts) => {
+  if (failures < maxAttempts) return null;
+
+  const duration = Math.min(
+    BASE_LOCK_MS * 2 ** (failures - maxAttempts),
+    MAX_LOCK_MS
+  );
+  return new Date(Date.now() + duration);
+};
+
+// seconds until the later of the two locks lifts, 0 when neither is locked
+export const lockedForSeconds = (...lockedUntil) => {
+  const latest = Math.max(
+    0,
+    ...lockedUntil.map((date) => date?.getTime() || 0)
+  );
+  return Math.max(0, Math.ceil((latest - Date.now()) / 1000));
+};
+
+// GET IP LOCK
+export const getIpLock = async (ip) => {
+  const attempt = await LoginAttempt.findOne({ ip });
+  return attempt?.lockedUntil || null;
+};
+
+// RECORD FAILED LOGIN
+export const recordLoginFailure = async (ip, user) => {
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { ip },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: new Date(Date.now() + FAILURE_WINDOW_MS) },
+    },
+    { new: true, upsert: true }
+  );
+  attempt.lockedUntil = lockoutUntil(attempt.failures, IP_MAX_ATTEMPTS);
+  await attempt.save();
+
+  if (!user) return;
+
+  const now = new Date();
+  const streakExpired =
+    user.lastFailedLoginAt && now - user.lastFailedLoginAt > FAILURE_WINDOW_MS;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    streakExpired
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      lockedUntil: lockoutUntil(
+        updated.failedLoginAttempts,
+        ACCOUNT_MAX_ATTEMPTS
+      ),
+    }
+  );
+};
+
+// RECORD SUCCESSFUL LOGIN
+export const recordLoginSuccess = (ip, user) =>
+  User.updateOne(
+    { _id: user._id },
+    {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+      lastLoginAt: new Date(),
+      lastLoginIp: ip,
+    }
+  );
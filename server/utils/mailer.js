@@ -0,0 +1,44 @@
+// importing all packages
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config({ quiet: true });
+
+// development transports, a real provider is plugged in with setMailTransport
+const transports = {
+  // prints the message to the server log
+  console: async (message) => {
+    console.log(
+      `\n--- mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---\n`
+    );
+  },
+
+  // writes every message to its own file in MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${message.to}.txt`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      `To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+  },
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] || transports.console;
+
+// swap in another transport, any async function taking { to, from, subject, text }
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// SEND MAIL
+export const sendMail = ({ to, subject, text }) =>
+  transport({
+    to,
+    from: process.env.MAIL_FROM || "no-reply@inventory.local",
+    subject,
+    text,
+  });
@@ -0,0 +1,61 @@
+// importing models
+import Inventory from "../models/Inventory.js";
+import Variant from "../models/Variant.js";
+
+// skus are compared without case or surrounding spaces
+export const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+
+// FIND BY CODE
+// exact sku or barcode match across items and their variants
+export const findByCode = async (code) => {
+  const value = String(code || "").trim();
+  if (!value) return null;
+
+  const codeQuery = { $or: [{ sku: normalizeSku(value) }, { barcode: value }] };
+
+  const item = await Inventory.findOne({ ...codeQuery, deletedAt: null });
+  if (item) return { item, variant: null };
+
+  const variant = await Variant.findOne(codeQuery);
+  if (!variant) return null;
+
+  const parent = await Inventory.findOne({
+    _id: variant.item,
+    deletedAt: null,
+  });
+  return parent ? { item: parent, variant } : null;
+};
+
+// CODE IN USE
+// skus and barcodes are unique across items and variants together, the
+// document being edited is left out of the check
+export const isCodeTaken = async (code, field, { itemId, variantId } = {}) => {
+  if (!code) return false;
+
+  const value = field === "sku" ? normalizeSku(code) : String(code).trim();
+
+  const [item, variant] = await Promise.all([
+    Inventory.exists({
+      [field]: value,
+      ...(itemId && { _id: { $ne: itemId } }),
+    }),
+    Variant.exists({
+      [field]: value,
+      ...(variantId && { _id: { $ne: variantId } }),
+    }),
+  ]);
+
+  return !!(item || variant);
+};
+
+// describes the first of the sku or barcode that is already in use, null
+// when both are free
+export const findCodeConflict = async ({ sku, barcode }, exclude = {}) => {
+  if (await isCodeTaken(sku, "sku", exclude)) {
+    return `SKU "${sku}" is already in use`;
+  }
+  if (await isCodeTaken(barcode, "barcode", exclude)) {
+    return `Barcode "${barcode}" is already in use`;
+  }
+  return null;
+};
@@ -0,0 +1,32 @@
+// importing counter model
+import Counter from "../models/Counter.js";
+
+const bump = (prefix) =>
+  Counter.findOneAndUpdate(
+    { _id: prefix },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+
+// NEXT DOCUMENT NUMBER
+// hands out PREFIX-00001 style numbers, two creates at the same moment never
+// get the same one
+export const nextNumber = async (model, field, prefix) => {
+  let counter = await bump(prefix);
+
+  // the first time round the sequence carries on from the existing documents
+  if (!counter) {
+    const last = await model.findOne({}, field).sort({ [field]: -1 });
+    const start = last ? Number(last[field].slice(prefix.length + 1)) : 0;
+
+    try {
+      await Counter.create({ _id: prefix, seq: start });
+    } catch (err) {
+      // someone else seeded it first
+      if (err.code !== 11000) throw err;
+    }
+    counter = await bump(prefix);
+  }
+
+  return `${prefix}-${String(counter.seq).padStart(5, "0")}`;
+};
@@ -0,0 +1,149 @@
+// importing models
+import SerialUnit, { ON_HAND_STATUSES } from "../models/SerialUnit.js";
+
+// importing stock helpers
+import { applyMovement, StockError } from "./stockLedger.js";
+
+export const normalizeSerial = (serialNumber) =>
+  String(serialNumber || "")
+    .trim()
+    .toUpperCase();
+
+// distinct, normalized serial numbers from a request body
+export const normalizeSerials = (serialNumbers) =>
+  Array.isArray(serialNumbers)
+    ? [...new Set(serialNumbers.map(normalizeSerial))].filter(Boolean)
+    : [];
+
+// RECEIVE SERIAL UNITS
+// books the receipt and creates one unit in stock per serial number, inside
+// an open transaction session
+export const receiveSerialUnits = async (
+  session,
+  { item, serials, locationId, reason = "purchase", note, userId }
+) => {
+  if (!item.serialized) {
+    throw new StockError(`"${item.name}" is not serialized`);
+  }
+  if (serials.length === 0) throw new StockError("No serial numbers given");
+
+  const taken = await SerialUnit.find({
+    serialNumber: { $in: serials },
+  }).session(session);
+  if (taken.length > 0) {
+    throw new StockError(
+      `Serial numbers already exist: ${taken
+        .map((unit) => unit.serialNumber)
+        .join(", ")}`
+    );
+  }
+
+  const result = await applyMovement(session, {
+    itemId: item._id,
+    type: "receipt",
+    reason,
+    quantity: serials.length,
+    note,
+    locationId,
+    serialNumbers: serials,
+    userId,
+  });
+
+  const units = await SerialUnit.insertMany(
+    serials.map((serialNumber) => ({
+      item: item._id,
+      serialNumber,
+      location: locationId || null,
+      history: [
+        {
+          status: "in_stock",
+          location: locationId || null,
+          note,
+          movement: result.movement._id,
+          performedBy: userId,
+        },
+      ],
+    })),
+    { session }
+  );
+
+  return { units, result };
+};
+
+// ISSUE SERIAL UNITS
+// issues the named units on hand, e.g. for a shipment or an approved
+// request, with one movement per location the units are kept at
+// releaseReserved hands out stock that was reserved for the units
+export const issueSerialUnits = async (
+  session,
+  {
+    item,
+    serials,
+    quantity,
+    reason,
+    assignedTo,
+    note,
+    userId,
+    releaseReserved = false,
+  }
+) => {
+  if (serials.length !== Number(quantity)) {
+    throw new StockError(
+      `"${item.name}" needs ${quantity} serial numbers, ${serials.length} given`
+    );
+  }
+
+  const units = await SerialUnit.find({
+    item: item._id,
+    serialNumber: { $in: serials },
+    status: { $in: ON_HAND_STATUSES },
+  }).session(session);
+
+  if (units.length !== serials.length) {
+    const onHand = units.map((unit) => unit.serialNumber);
+    throw new StockError(
+      `Not on hand for "${item.name}": ${serials
+        .filter((serial) => !onHand.includes(serial))
+        .join(", ")}`
+    );
+  }
+
+  const byLocation = {};
+  units.forEach((unit) => {
+    const key = String(unit.location);
+    byLocation[key] = [...(byLocation[key] || []), unit];
+  });
+
+  const results = [];
+  for (const group of Object.values(byLocation)) {
+    const result = await applyMovement(session, {
+      itemId: item._id,
+      type: "issue",
+      reason,
+      quantity: group.length,
+      note,
+      locationId: group[0].location,
+      serialNumbers: group.map((unit) => unit.serialNumber),
+      releaseReserved: releaseReserved ? group.length : 0,
+      userId,
+    });
+    results.push(result);
+
+    for (const unit of group) {
+      unit.status = "issued";
+      unit.location = null;
+      unit.assignedTo = assignedTo;
+      unit.history.push({
+        status: "issued",
+        location: null,
+        assignedTo,
+        note,
+        movement: result.movement._id,
+        performedBy: userId,
+      });
+      await unit.save({ session });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,113 @@
+// importing all packages
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+// importing Session model
+import Session from "../models/Session.js";
+
+// importing token helpers
+import { generateToken, hashToken } from "./tokens.js";
+
+dotenv.config({ quiet: true });
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// access tokens are short lived, the refresh token keeps the user signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const newRefreshToken = () => generateToken(48);
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// access token carrying the session id so a revoked session stops working
+export const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, role: user.role, sid: session._id }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// START SESSION
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken };
+};
+
+// ROTATE SESSION
+// swaps a refresh token for a new one, the old token can't be used again
+// the token is claimed in one update, so of two refreshes racing with the
+// same token only one wins and the other counts as reuse
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) throw new SessionError("Refresh token is required", 400);
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (session) return { session, refreshToken: nextToken };
+
+  if (await Session.exists({ tokenHash })) {
+    throw new SessionError("Session has ended, please log in again");
+  }
+
+  // an already rotated token was replayed, so end the whole session
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHash: tokenHash, revokedAt: null },
+    { revokedAt: now }
+  );
+  if (reused) console.log(`Refresh token reuse on session ${reused._id}`);
+
+  throw new SessionError("Invalid refresh token");
+};
+
+// END SESSION
+export const revokeSession = async (refreshToken) => {
+  if (!refreshToken) return null;
+
+  return Session.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+// END EVERY SESSION OF A USER
+// keepSessionId leaves the caller's own session signed in
+export const revokeUserSessions = (userId, keepSessionId = null) =>
+  Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(keepSessionId && { _id: { $ne: keepSessionId } }),
+    },
+    { revokedAt: new Date() }
+  );
@@ -0,0 +1,94 @@
+// importing all packages
+import dotenv from "dotenv";
+
+// importing models
+import Inventory from "../models/Inventory.js";
+import StockSnapshot from "../models/StockSnapshot.js";
+
+// dotenv configuration
+dotenv.config({ quiet: true });
+
+// set to "false" to stop this process from taking snapshots, e.g. when
+// another instance already does
+const SNAPSHOTS_ENABLED = process.env.SNAPSHOTS_ENABLED !== "false";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_BATCH_SIZE = 1000;
+
+// midnight UTC of the given day
+export const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// TAKE SNAPSHOT
+// records the stock of every item for the day, the first snapshot of a day
+// wins so restarting the server doesn't overwrite the opening stock
+export const takeSnapshot = async (date = new Date()) => {
+  const day = startOfDay(date);
+  let operations = [];
+  let created = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await StockSnapshot.bulkWrite(operations, {
+      ordered: false,
+    });
+    created += result.upsertedCount;
+    operations = [];
+  };
+
+  const cursor = Inventory.find({ deletedAt: null })
+    .select("category quantity price")
+    .lean()
+    .cursor();
+
+  for await (const item of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { item: item._id, date: day },
+        update: {
+          $setOnInsert: {
+            category: item.category,
+            quantity: item.quantity,
+            price: item.price,
+            value: item.quantity * item.price,
+          },
+        },
+        upsert: true,
+      },
+    });
+    if (operations.length >= SNAPSHOT_BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return created;
+};
+
+// START SNAPSHOT JOB
+// snapshots once on startup and then every midnight UTC
+export const startSnapshotJob = () => {
+  if (!SNAPSHOTS_ENABLED) return;
+
+  const run = async () => {
+    try {
+      const count = await takeSnapshot();
+      if (count > 0) console.log(`Stock snapshot taken for ${count} items`);
+    } catch (err) {
+      console.error("Stock snapshot failed:", err.message);
+    }
+  };
+
+  const scheduleNext = () => {
+    const delay = startOfDay().getTime() + DAY_MS - Date.now();
+    // an open timer must not keep the process alive on shutdown
+    setTimeout(async () => {
+      await run();
+      scheduleNext();
+    }, delay).unref();
+  };
+
+  run();
+  scheduleNext();
+};
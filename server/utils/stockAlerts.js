@@ -0,0 +1,32 @@
+// importing models
+import StockAlert from "../models/StockAlert.js";
+
+const isLow = (item) => !!item && item.quantity <= item.reorderLevel;
+
+// records an alert when an item drops to its reorder level and resolves
+// it again once the item is restocked above that level
+const evaluateThreshold = async (previous, current) => {
+  if (!current) return;
+
+  if (!isLow(previous) && isLow(current)) {
+    await StockAlert.create({
+      item: current._id,
+      quantity: current.quantity,
+      reorderLevel: current.reorderLevel,
+      reorderQuantity: current.reorderQuantity,
+    });
+  } else if (isLow(previous) && !isLow(current)) {
+    await StockAlert.updateMany(
+      { item: current._id, resolvedAt: null },
+      { resolvedAt: new Date() }
+    );
+  }
+};
+
+// CHECK REORDER THRESHOLD
+// runs in the background so the request is not held up by it
+export const checkReorderThreshold = (previous, current) => {
+  evaluateThreshold(previous, current).catch((err) =>
+    console.log("Reorder threshold check failed:", err.message)
+  );
+};
@@ -0,0 +1,491 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// importing models
+import Inventory from "../models/Inventory.js";
+import Location from "../models/Location.js";
+import StockLevel from "../models/StockLevel.js";
+import Variant from "../models/Variant.js";
+import Lot from "../models/Lot.js";
+import StockMovement, { MOVEMENT_REASONS } from "../models/StockMovement.js";
+
+// importing transaction helper
+import { runInTransaction } from "./transaction.js";
+
+// importing reorder threshold check
+import { checkReorderThreshold } from "./stockAlerts.js";
+
+// error carrying the http status the controller should answer with
+export class StockError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// turns the requested quantity into the signed change for the item
+const signedChange = (type, quantity) => {
+  const qty = Number(quantity);
+
+  if (!MOVEMENT_REASONS[type]) {
+    throw new StockError(`Invalid movement type "${type}"`);
+  }
+
+  if (!Number.isInteger(qty) || qty === 0) {
+    throw new StockError("Quantity must be a non-zero whole number");
+  }
+
+  if (type === "adjustment") return qty;
+
+  if (qty < 0) {
+    throw new StockError("Quantity must be positive for receipts and issues");
+  }
+
+  return type === "issue" ? -qty : qty;
+};
+
+// serialized items only move stock through their serial units
+const SERIALIZED_MESSAGE =
+  "Serialized items change stock through their serial numbers";
+
+// on hand minus reserved, items saved before reservations have none
+const availableExpr = {
+  $subtract: ["$quantity", { $ifNull: ["$reserved", 0] }],
+};
+
+// quantity of an item that has been placed at specific locations
+export const assignedQuantity = async (itemId, session) => {
+  const [result] = await StockLevel.aggregate([
+    { $match: { item: new mongoose.Types.ObjectId(String(itemId)) } },
+    { $group: { _id: null, total: { $sum: "$quantity" } } },
+  ]).session(session);
+
+  return result?.total || 0;
+};
+
+// changes the stock held at one location, creating the record on receipt
+const changeLocationStock = async (itemId, locationId, change, session) => {
+  const exists = await Location.exists({ _id: locationId }).session(session);
+  if (!exists) throw new StockError("Location not found", 404);
+
+  const filter = { item: itemId, location: locationId };
+  if (change < 0) filter.quantity = { $gte: -change };
+
+  const level = await StockLevel.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: change } },
+    { new: true, upsert: change > 0, session }
+  );
+
+  if (!level) throw new StockError("Insufficient stock at this location");
+  return level;
+};
+
+// quantity of an item that belongs to one of its variants
+export const variantQuantity = async (itemId, session) => {
+  const [result] = await Variant.aggregate([
+    { $match: { item: new mongoose.Types.ObjectId(String(itemId)) } },
+    { $group: { _id: null, total: { $sum: "$quantity" } } },
+  ]).session(session);
+
+  return result?.total || 0;
+};
+
+// changes the stock of one variant, the item total moves with it
+const changeVariantStock = async (itemId, variantId, change, session) => {
+  const filter = { _id: variantId, item: itemId };
+  if (change < 0) filter.quantity = { $gte: -change };
+
+  const variant = await Variant.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: change } },
+    { new: true, session }
+  );
+
+  if (!variant) {
+    const exists = await Variant.exists({
+      _id: variantId,
+      item: itemId,
+    }).session(session);
+    if (!exists) throw new StockError("Variant not found", 404);
+    throw new StockError("Insufficient stock for this variant");
+  }
+  return variant;
+};
+
+// lots that expire first come first, lots without an expiry date go last
+export const byExpiry = (a, b) =>
+  (a.expiryDate?.getTime() ?? Infinity) - (b.expiryDate?.getTime() ?? Infinity);
+
+// adds received stock to a lot, creating it on its first receipt
+const receiveIntoLot = async (itemId, lotNumber, expiryDate, qty, session) => {
+  const number = String(lotNumber).trim().toUpperCase();
+  const expiry = expiryDate ? new Date(expiryDate) : null;
+  if (expiry && Number.isNaN(expiry.getTime())) {
+    throw new StockError("Invalid expiry date");
+  }
+
+  let lot = await Lot.findOne({ item: itemId, lotNumber: number }).session(
+    session
+  );
+
+  if (lot) {
+    if (expiry && lot.expiryDate?.getTime() !== expiry.getTime()) {
+      throw new StockError(
+        `Lot ${number} already exists with a different expiry date`
+      );
+    }
+    lot.quantity += qty;
+    await lot.save({ session });
+  } else {
+    [lot] = await Lot.create(
+      [{ item: itemId, lotNumber: number, expiryDate: expiry, quantity: qty }],
+      { session }
+    );
+  }
+
+  return [{ lot: lot._id, lotNumber: lot.lotNumber, quantity: qty }];
+};
+
+// quantity of an item that sits in its lots
+const lotQuantity = async (itemId, session) => {
+  const [result] = await Lot.aggregate([
+    { $match: { item: new mongoose.Types.ObjectId(String(itemId)) } },
+    { $group: { _id: null, total: { $sum: "$quantity" } } },
+  ]).session(session);
+
+  return result?.total || 0;
+};
+
+// takes stock out of lots first-expired-first-out, or out of the named lot,
+// whatever the lots can't cover comes from stock received without a lot
+// expired lots are skipped unless named or includeExpired is set
+const consumeLots = async (itemId, lotNumber, qty, includeExpired, session) => {
+  const filter = { item: itemId, quantity: { $gt: 0 } };
+  if (lotNumber) {
+    filter.lotNumber = String(lotNumber).trim().toUpperCase();
+  } else if (!includeExpired) {
+    filter.$or = [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }];
+  }
+
+  const lots = (await Lot.find(filter).session(session)).sort(byExpiry);
+
+  let remaining = qty;
+  const consumed = [];
+  for (const lot of lots) {
+    if (remaining === 0) break;
+
+    const take = Math.min(remaining, lot.quantity);
+    lot.quantity -= take;
+    await lot.save({ session });
+
+    consumed.push({ lot: lot._id, lotNumber: lot.lotNumber, quantity: -take });
+    remaining -= take;
+  }
+
+  if (lotNumber && remaining > 0) {
+    throw new StockError(`Insufficient stock in lot ${filter.lotNumber}`);
+  }
+
+  return consumed;
+};
+
+// APPLY MOVEMENT
+// adjusts stock inside an open transaction session
+// releaseReserved hands out stock that was reserved for an order, e.g. when
+// a sales order ships
+// receipts can name a lot and its expiry date, stock leaving the item comes
+// out of its lots first-expired-first-out unless a lot is named
+// expired lots only give stock when named or with includeExpired, e.g. for
+// count corrections
+// serialNumbers lists the units of a serialized item that moved, other
+// movements are refused for those items
+export const applyMovement = async (
+  session,
+  {
+    itemId,
+    type,
+    quantity,
+    reason,
+    note,
+    userId,
+    locationId,
+    variantId,
+    lotNumber,
+    expiryDate,
+    serialNumbers,
+    includeExpired = false,
+    releaseReserved = 0,
+  }
+) => {
+  if (type === "transfer") {
+    throw new StockError("Use the transfer endpoint to move stock");
+  }
+
+  const change = signedChange(type, quantity);
+
+  if (!MOVEMENT_REASONS[type].includes(reason)) {
+    throw new StockError(`Invalid reason "${reason}" for ${type}`);
+  }
+
+  if (expiryDate && !lotNumber) {
+    throw new StockError("A lot number is required with an expiry date");
+  }
+
+  // guard against negative stock in the same atomic update, stock reserved
+  // for orders can only leave through those orders
+  const filter = { _id: itemId, deletedAt: null };
+  if (!serialNumbers) filter.serialized = { $ne: true };
+  if (change < 0) {
+    filter.$expr = { $gte: [availableExpr, -change - releaseReserved] };
+  }
+
+  const item = await Inventory.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: change, reserved: -releaseReserved } },
+    { new: true, session }
+  );
+
+  if (!item) {
+    const current = await Inventory.findOne({
+      _id: itemId,
+      deletedAt: null,
+    }).session(session);
+    if (!current) throw new StockError("Item not found", 404);
+    if (current.serialized && !serialNumbers) {
+      throw new StockError(SERIALIZED_MESSAGE);
+    }
+    throw new StockError(
+      "Insufficient stock for this movement, some of it may be reserved for orders"
+    );
+  }
+
+  if (variantId) {
+    await changeVariantStock(item._id, variantId, change, session);
+  } else if (change < 0) {
+    // stock without a variant must not eat into the variants' stock
+    const inVariants = await variantQuantity(item._id, session);
+    if (item.quantity < inVariants) {
+      throw new StockError(
+        "Insufficient stock outside variants, choose a variant for this movement"
+      );
+    }
+  }
+
+  if (locationId) {
+    await changeLocationStock(item._id, locationId, change, session);
+  } else if (change < 0) {
+    // stock without a location must come from the unassigned pool
+    const assigned = await assignedQuantity(item._id, session);
+    if (item.quantity < assigned) {
+      throw new StockError(
+        "Insufficient unassigned stock, choose a location for this movement"
+      );
+    }
+  }
+
+  const lots =
+    change > 0
+      ? lotNumber
+        ? await receiveIntoLot(item._id, lotNumber, expiryDate, change, session)
+        : []
+      : await consumeLots(
+          item._id,
+          lotNumber,
+          -change,
+          includeExpired,
+          session
+        );
+
+  if (change < 0) {
+    // the rest must come from stock received without a lot, not expired lots
+    const inLots = await lotQuantity(item._id, session);
+    if (item.quantity < inLots) {
+      throw new StockError(
+        "Insufficient stock that has not expired, name the lot to issue expired stock"
+      );
+    }
+  }
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        item: item._id,
+        type,
+        reason,
+        quantity: change,
+        balanceAfter: item.quantity,
+        location: locationId || null,
+        variant: variantId || null,
+        lots,
+        serialNumbers,
+        note,
+        performedBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  return { item, movement, previousQuantity: item.quantity - change };
+};
+
+// RESERVE STOCK
+// sets aside available stock for an order without moving it
+export const reserveStock = async (session, itemId, quantity) => {
+  const qty = Number(quantity);
+
+  const item = await Inventory.findOneAndUpdate(
+    { _id: itemId, deletedAt: null, $expr: { $gte: [availableExpr, qty] } },
+    { $inc: { reserved: qty } },
+    { new: true, session }
+  );
+
+  if (!item) {
+    const current = await Inventory.findOne({
+      _id: itemId,
+      deletedAt: null,
+    }).session(session);
+    if (!current) throw new StockError("Item not found", 404);
+    throw new StockError(
+      `Insufficient stock for "${current.name}": ${current.available} available, ${qty} needed`
+    );
+  }
+
+  return item;
+};
+
+// RELEASE RESERVATION
+// gives reserved stock back, e.g. when an order is cancelled
+export const releaseReservation = async (session, itemId, quantity) => {
+  await Inventory.updateOne(
+    { _id: itemId },
+    [
+      {
+        $set: {
+          reserved: {
+            $max: [
+              0,
+              { $subtract: [{ $ifNull: ["$reserved", 0] }, Number(quantity)] },
+            ],
+          },
+        },
+      },
+    ],
+    { session }
+  );
+};
+
+// CHECK MOVEMENT THRESHOLDS
+// to be called once the transaction that applied the movements has committed
+export const checkMovementThresholds = (results) => {
+  results.forEach(({ item, previousQuantity }) =>
+    checkReorderThreshold(
+      { quantity: previousQuantity, reorderLevel: item.reorderLevel },
+      item
+    )
+  );
+};
+
+// RECORD MOVEMENT
+// the only place where an item's quantity is allowed to change
+export const recordMovement = async (params) => {
+  const result = await runInTransaction((session) =>
+    applyMovement(session, params)
+  );
+
+  checkMovementThresholds([result]);
+
+  return result;
+};
+
+// APPLY TRANSFER
+// moves stock between two locations (or the unassigned pool) inside an open
+// transaction session
+export const applyTransfer = async (
+  session,
+  {
+    itemId,
+    fromLocationId,
+    toLocationId,
+    quantity,
+    note,
+    userId,
+    serialNumbers,
+  }
+) => {
+  const qty = Number(quantity);
+
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw new StockError("Quantity must be a positive whole number");
+  }
+
+  if (!fromLocationId && !toLocationId) {
+    throw new StockError("A source or destination location is required");
+  }
+
+  if (String(fromLocationId) === String(toLocationId)) {
+    throw new StockError("Source and destination must be different");
+  }
+
+  const item = await Inventory.findOne({
+    _id: itemId,
+    deletedAt: null,
+  }).session(session);
+  if (!item) throw new StockError("Item not found", 404);
+
+  if (item.serialized && !serialNumbers) {
+    throw new StockError(SERIALIZED_MESSAGE);
+  }
+
+  if (fromLocationId) {
+    await changeLocationStock(item._id, fromLocationId, -qty, session);
+  } else {
+    const assigned = await assignedQuantity(item._id, session);
+    if (item.quantity - assigned < qty) {
+      throw new StockError("Insufficient unassigned stock");
+    }
+  }
+
+  if (toLocationId) {
+    await changeLocationStock(item._id, toLocationId, qty, session);
+  }
+
+  const movements = await StockMovement.create(
+    [
+      { location: fromLocationId || null, quantity: -qty },
+      { location: toLocationId || null, quantity: qty },
+    ].map((line) => ({
+      ...line,
+      item: item._id,
+      type: "transfer",
+      reason: "transfer",
+      balanceAfter: item.quantity,
+      serialNumbers,
+      note,
+      performedBy: userId,
+    })),
+    { session, ordered: true }
+  );
+
+  return { item, movements };
+};
+
+// TRANSFER STOCK
+// moves stock between two locations (or the unassigned pool) atomically
+export const transferStock = async (params) =>
+  runInTransaction((session) => applyTransfer(session, params));
+
+// RECORD OPENING BALANCE
+// logs the quantity an item was created with as its first receipt
+export const recordOpeningBalance = async (item, userId) => {
+  if (!item.quantity) return null;
+
+  return StockMovement.create({
+    item: item._id,
+    type: "receipt",
+    reason: "initial",
+    quantity: item.quantity,
+    balanceAfter: item.quantity,
+    performedBy: userId,
+  });
+};
@@ -0,0 +1,10 @@
+// importing all packages
+import crypto from "crypto";
+
+// random opaque token handed to the client once and never stored as is
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// only sha-256 hashes of tokens are kept in the database
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
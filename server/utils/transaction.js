@@ -0,0 +1,17 @@
+// importing all packages
+import mongoose from "mongoose";
+
+// runs the callback inside a MongoDB transaction and hands it the session
+export const runInTransaction = async (callback) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await callback(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,82 @@
+// importing all packages
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import QRCode from "qrcode";
+import { authenticator } from "otplib";
+
+// importing token helpers
+import { hashToken } from "./tokens.js";
+
+dotenv.config({ quiet: true });
+const JWT_SECRET = process.env.JWT_SECRET;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Inventory Management";
+const CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// accept the previous and next code as well to allow for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+// NEW ENROLLMENT
+// secret plus the QR code an authenticator app scans
+export const createEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// VERIFY CODE
+// returns the time step the code belongs to, or null when it is wrong or
+// was already used at or before lastStep
+export const verifyTotp = (secret, code, lastStep = null) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (lastStep !== null && step <= lastStep) return null;
+
+  return step;
+};
+
+// RECOVERY CODES
+// the plain codes are shown once, only their hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/(.{5})/, "$1-")
+  );
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+export const hashRecoveryCode = (code) =>
+  hashToken(
+    String(code || "")
+      .toLowerCase()
+      .replace(/[^0-9a-f]/g, "")
+  );
+
+// CHALLENGE TOKENS
+// short lived proof that the password step passed, it carries no session so
+// verifyToken never accepts it as an access token
+export const signChallenge = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+export const verifyChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token || "", JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};